@@ -1,48 +1,5 @@
-const VISION_PROMPT = `Describe this scene for a blind person in 2-3 sentences. Focus on spatial layout and obstacles. Use directional language (left, right, ahead). Prioritize safety.`;
+import { handleAnalyze } from '../server/chat.js';
+import { protect } from '../server/usage.js';
 
-export default async function handler(req, res) {
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    return res.status(500).json({ error: 'OPENAI_API_KEY not configured' });
-  }
-
-  try {
-    const { image } = req.body;
-    if (!image) return res.status(400).json({ error: 'No image provided' });
-
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o-mini',
-        messages: [{
-          role: 'user',
-          content: [
-            { type: 'text', text: VISION_PROMPT },
-            { type: 'image_url', image_url: { url: image, detail: 'low' } }
-          ]
-        }],
-        max_tokens: 200
-      })
-    });
-
-    const data = await response.json();
-    
-    if (data.error) {
-      throw new Error(data.error.message);
-    }
-
-    const description = data.choices?.[0]?.message?.content || 'Could not analyze';
-    res.json({ description });
-  } catch (err) {
-    console.error('[Vision Error]', err.message);
-    res.status(500).json({ error: 'Failed to analyze image', details: err.message });
-  }
-}
+// Same SSE pipeline as the Express server — see server/chat.js
+export default protect(handleAnalyze, { metered: true });
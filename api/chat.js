@@ -1,51 +1,5 @@
-const SYSTEM_PROMPT = `You are a helpful assistant for a blind person using smart glasses. Be concise (1-3 sentences). Use spatial language. Say "I notice" instead of "I see".`;
+import { handleChat } from '../server/chat.js';
+import { protect } from '../server/usage.js';
 
-export default async function handler(req, res) {
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    return res.status(500).json({ error: 'OPENAI_API_KEY not configured' });
-  }
-
-  try {
-    const { message, sceneContext, conversationHistory = [] } = req.body;
-    if (!message) return res.status(400).json({ error: 'No message provided' });
-
-    let systemContent = SYSTEM_PROMPT;
-    if (sceneContext) systemContent += `\n\nCurrent scene: "${sceneContext}"`;
-
-    const messages = [
-      { role: 'system', content: systemContent },
-      ...conversationHistory.slice(-4),
-      { role: 'user', content: message }
-    ];
-
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o-mini',
-        messages,
-        max_tokens: 150
-      })
-    });
-
-    const data = await response.json();
-    
-    if (data.error) {
-      throw new Error(data.error.message);
-    }
-
-    const text = data.choices?.[0]?.message?.content || 'Could not respond';
-    res.json({ response: text });
-  } catch (err) {
-    console.error('[Chat Error]', err.message);
-    res.status(500).json({ error: 'Failed to generate response', details: err.message });
-  }
-}
+// Same SSE pipeline as the Express server — see server/chat.js
+export default protect(handleChat, { metered: true });
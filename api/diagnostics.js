@@ -0,0 +1,5 @@
+import { handleDiagnostics } from '../server/diagnostics.js';
+
+// Same diagnostics as the Express server — see server/diagnostics.js.
+// Checks DIAGNOSTICS_KEY itself instead of going through protect().
+export default handleDiagnostics;
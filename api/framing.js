@@ -0,0 +1,5 @@
+import { handleFraming } from '../server/framing.js';
+import { protect } from '../server/usage.js';
+
+// Same framing check as the Express server — see server/framing.js
+export default protect(handleFraming, { metered: true });
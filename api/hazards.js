@@ -0,0 +1,5 @@
+import { handleHazards } from '../server/hazards.js';
+import { protect } from '../server/usage.js';
+
+// Same hazard query/export as the Express server — see server/hazards.js
+export default protect(handleHazards);
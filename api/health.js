@@ -1,4 +1,4 @@
-export default function handler(req, res) {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
-}
+import { handleHealth } from '../server/diagnostics.js';
 
+// Same readiness check as the Express server — see server/diagnostics.js
+export default handleHealth;
@@ -0,0 +1,5 @@
+import { handleIntent } from '../server/intent.js';
+import { protect } from '../server/usage.js';
+
+// Same intent classification as the Express server — see server/intent.js
+export default protect(handleIntent, { metered: true });
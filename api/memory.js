@@ -0,0 +1,5 @@
+import { handleMemory } from '../server/memory.js';
+import { protect } from '../server/usage.js';
+
+// Same scene memory lookup as the Express server — see server/memory.js
+export default protect(handleMemory);
@@ -1,4 +1,6 @@
-export default async function handler(req, res) {
+import { protect } from '../server/usage.js';
+
+async function handler(req, res) {
   const apiKey = process.env.GEMINI_API_KEY;
   if (!apiKey) {
     return res.status(500).json({ error: 'No API key' });
@@ -17,3 +19,4 @@ export default async function handler(req, res) {
   }
 }
 
+export default protect(handler);
@@ -0,0 +1,5 @@
+import { handleRead } from '../server/read.js';
+import { protect } from '../server/usage.js';
+
+// Same verbatim text reading as the Express server — see server/read.js
+export default protect(handleRead, { metered: true });
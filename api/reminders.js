@@ -0,0 +1,5 @@
+import { handleDueReminders } from '../server/reminders.js';
+import { protect } from '../server/usage.js';
+
+// Same reminder delivery as the Express server — see server/reminders.js
+export default protect(handleDueReminders);
@@ -0,0 +1,5 @@
+import { handleGetSession } from '../../server/sessions.js';
+import { protect } from '../../server/usage.js';
+
+// Same session API as the Express server — see server/sessions.js
+export default protect(handleGetSession);
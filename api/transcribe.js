@@ -0,0 +1,5 @@
+import { handleTranscribe } from '../server/transcribe.js';
+import { protect } from '../server/usage.js';
+
+// Same recognition endpoint as the Express server — see server/transcribe.js
+export default protect(handleTranscribe, { metered: true });
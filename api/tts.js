@@ -0,0 +1,5 @@
+import { handleTts } from '../server/tts.js';
+import { protect } from '../server/usage.js';
+
+// Same speech endpoint as the Express server — see server/tts.js
+export default protect(handleTts, { metered: true });
@@ -0,0 +1,62 @@
+import { createHash, timingSafeEqual } from 'crypto';
+
+// Client authentication. API_KEYS lists "user:key" pairs, comma-separated; a
+// client sends its key as "Authorization: Bearer <key>" (or ?key=… on the
+// WebSocket, which can't set headers). Without API_KEYS the server is open —
+// fine for local development — and each client address counts as its own user
+// for rate limits and quotas (usage.js).
+
+const hash = (key) => createHash('sha256').update(key).digest('hex');
+
+// "alice:k1, bob:k2" → Map of key hash → user id
+export function parseApiKeys(value = '') {
+  const keys = new Map();
+  for (const pair of value.split(',')) {
+    const i = pair.indexOf(':');
+    const user = pair.slice(0, i).trim();
+    const key = pair.slice(i + 1).trim();
+    if (i > 0 && key) keys.set(hash(key), user);
+  }
+  return keys;
+}
+
+let keys = null;
+
+function apiKeys() {
+  if (!keys) keys = parseApiKeys(process.env.API_KEYS);
+  return keys;
+}
+
+export function authRequired() {
+  return apiKeys().size > 0;
+}
+
+export function userCount() {
+  return new Set(apiKeys().values()).size;
+}
+
+function clientKey(req) {
+  const bearer = req.headers.authorization?.match(/^Bearer\s+(.+)$/i)?.[1];
+  return bearer || req.headers['x-api-key'] || new URL(req.url, 'http://localhost').searchParams.get('key');
+}
+
+// Vercel requests have no req.ip; there the platform sets x-forwarded-for
+function clientAddress(req) {
+  return req.ip || req.headers['x-forwarded-for']?.split(',')[0].trim() || req.socket?.remoteAddress || 'unknown';
+}
+
+// The user making the request, or null when a key is required and missing or unknown
+export function identify(req) {
+  if (!authRequired()) return `ip:${clientAddress(req)}`;
+  const key = clientKey(req);
+  return (key && apiKeys().get(hash(key))) || null;
+}
+
+// Whether the request carries DIAGNOSTICS_KEY — a separate operator key, so a
+// client key can't read server internals. Always false when it isn't set.
+export function hasDiagnosticsKey(req) {
+  const expected = process.env.DIAGNOSTICS_KEY;
+  const key = clientKey(req);
+  if (!expected || !key) return false;
+  return timingSafeEqual(Buffer.from(hash(key), 'hex'), Buffer.from(hash(expected), 'hex'));
+}
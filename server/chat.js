@@ -0,0 +1,328 @@
+import { getProvider } from './providers/index.js';
+import { rememberScene, recentScenes } from './memory.js';
+import { getSession, sessionContext, sanitizeHistory, appendTurn } from './sessions.js';
+import { toolSchemas, executeTool } from './tools/index.js';
+import { takeDueReminders } from './tools/setReminder.js';
+import { isDuplicateFrame, rememberFrame } from './frames.js';
+import { recordFrame } from './usage.js';
+
+// Shared chat + vision pipeline — the Express routes (server/index.js) and the
+// Vercel handlers (api/) both delegate here so local dev and deploys behave the same.
+
+export const SYSTEM_PROMPT = `You are a concise assistant for a blind person using smart glasses.
+Use spatial language (left, right, ahead, behind, clock positions).
+Say "I notice" not "I see". Prioritize safety-relevant information first.`;
+
+// Answer length chosen on the client's settings page; sets the default token budget too
+const VERBOSITY = {
+  terse: { instruction: 'Respond in one short sentence with only what matters most.', maxTokens: 80 },
+  normal: { instruction: 'Respond in 1-3 short sentences.', maxTokens: 200 },
+  detailed: { instruction: 'Respond in up to 5 sentences, including secondary details such as colors, text and people.', maxTokens: 400 }
+};
+
+// Ceiling on a caller's maxTokens, so one request can't use up much of the daily quota
+const MAX_TOKENS = 1000;
+
+// Reply languages the client offers; English needs no extra instruction
+const LANGUAGES = { en: 'English', es: 'Spanish', fr: 'French', hi: 'Hindi' };
+
+function languageInstruction(language) {
+  const name = LANGUAGES[language];
+  return `Always respond in ${name}, using natural ${name} spatial phrases and clock positions. ` +
+    `Write flag_hazard descriptions, set_reminder texts and describe_scene labels in ${name} too.`;
+}
+
+// Structured turns answer with one describe_scene call carrying both the spoken
+// description and the object list — one model call per image, as for plain
+// turns. Other turns aren't offered the tool.
+const STRUCTURED_INSTRUCTION = 'Answer by calling describe_scene once, with your spoken description and the notable objects in the image.';
+// Extra token budget for the object list on top of the description's own —
+// streaming frames allow as little as 30 tokens for the sentence. A ceiling,
+// not a cost: only the tokens generated are billed.
+const OBJECT_LIST_TOKENS = 400;
+
+// The complete "description" string of a describe_scene call whose arguments
+// are still streaming — spoken before the object list has finished
+const DESCRIPTION_PATTERN = /"description"\s*:\s*"((?:[^"\\]|\\.)*)"/;
+
+// Upper bound on model calls per turn, tool rounds included
+const MAX_AGENT_STEPS = Number(process.env.AGENT_MAX_STEPS) || 4;
+
+// Default question for /api/analyze when the caller only sends an image
+export const DESCRIBE_PROMPT = 'Describe this scene. Focus on spatial layout and obstacles, hazards first.';
+
+function buildMessages({ message, image, sceneContext, summary, history, verbosity, language, structured }) {
+  let systemContent = `${SYSTEM_PROMPT}\n${VERBOSITY[verbosity].instruction}`;
+  if (structured) systemContent += `\n${STRUCTURED_INSTRUCTION}`;
+  if (language !== 'en') systemContent += `\n${languageInstruction(language)}`;
+  if (summary) systemContent += `\n\nEarlier conversation: ${summary}`;
+  if (sceneContext) systemContent += `\n\nScene memory: "${sceneContext}"`;
+
+  // Build user message — include image as vision content if provided
+  const userContent = image
+    ? [
+        {
+          type: 'image_url',
+          image_url: {
+            url: image.startsWith('data:') ? image : `data:image/jpeg;base64,${image}`,
+            detail: 'low'  // faster + cheaper; sufficient for scene description
+          }
+        },
+        { type: 'text', text: message }
+      ]
+    : message;
+
+  return [
+    { role: 'system', content: systemContent },
+    ...history,
+    { role: 'user', content: userContent }
+  ];
+}
+
+// Run one chat turn, emitting events through `send`:
+//   { text }               — a streamed text fragment
+//   { hazard, urgency }    — a flag_hazard call, sent as soon as its arguments parse
+//   { reminder }           — a set_reminder reminder that has fallen due
+//   { step, tool, status } — agent loop progress: a tool is 'running', 'done' or 'error'
+//   { objects }            — structured turns: the describe_scene object list
+//   { skipped }            — frame matched the last analyzed one; no model call was made
+//   { done, tools }        — final event with the names of tools the model used
+// Returns { text, tools, objects } once the stream is finished.
+//
+// With a `session` the server owns history and scene context; without one the
+// caller's conversationHistory/sceneContext are used (validated, last 4 messages).
+// `ephemeral` turns (streaming frames) neither read nor extend the history.
+// `verbosity` (terse | normal | detailed) sets answer length and `language` (en | es | fr | hi)
+// the reply language; unknown values fall back to normal and English.
+// `structured` image turns also return the scene as a list of objects — label,
+// clock position, distance band and hazard flag — via the describe_scene tool.
+// When `signal` aborts (the client went away) generation stops, nothing is
+// remembered or added to history, no final event is sent and
+// { text, tools, aborted: true } is returned.
+export async function runChat({ message, image, sceneContext, conversationHistory, maxTokens, session, ephemeral = false, frameHash, location, verbosity, language, structured = false, signal }, send) {
+  const provider = getProvider();
+  if (!Object.hasOwn(VERBOSITY, verbosity)) verbosity = 'normal';
+  if (!Object.hasOwn(LANGUAGES, language)) language = 'en';
+  const requestedTokens = Math.round(Number(maxTokens));
+  maxTokens = requestedTokens > 0 ? Math.min(requestedTokens, MAX_TOKENS) : VERBOSITY[verbosity].maxTokens;
+  const sessionId = session?.id;
+  structured = structured === true && Boolean(image);
+
+  if (ephemeral && image && isDuplicateFrame(sessionId, frameHash)) {
+    send({ skipped: true });
+    send({ done: true, tools: [] });
+    return { text: '', tools: [], skipped: true };
+  }
+  if (image) recordFrame();
+
+  let summary = '';
+  let history = sanitizeHistory(conversationHistory).slice(-4);
+  if (session) {
+    ({ summary, history } = sessionContext(session));
+    if (!sceneContext && !image) sceneContext = (await recentScenes(sessionId, 1))[0]?.description;
+  }
+  if (ephemeral) {
+    summary = '';
+    history = [];
+  }
+
+  // Passed to every tool handler
+  const toolContext = { session, sessionId, sceneContext, location };
+  const messages = buildMessages({ message, image, sceneContext, summary, history, verbosity, language, structured });
+  const schemas = toolSchemas().filter(tool => structured || tool.function.name !== 'describe_scene');
+
+  // Push hazards to the client the moment their arguments are complete,
+  // rather than after the whole response — the client interrupts speech for them
+  const emitHazard = (tc) => {
+    if (tc.name !== 'flag_hazard' || tc.hazardSent) return;
+    try {
+      const { hazard, urgency } = JSON.parse(tc.arguments);
+      if (!hazard) return;
+      tc.hazardSent = true;
+      send({ hazard, urgency: urgency || 'medium' });
+    } catch {} // arguments still streaming
+  };
+
+  let fullText = '';
+  let objects = null;
+  let described = false;
+
+  // Text fragments of the answer; a step's text that follows earlier text is spaced apart
+  const emitText = (content, stepText) => {
+    const text = !stepText && fullText && !/\s$/.test(fullText) ? ` ${content}` : content;
+    fullText += text;
+    send({ text });
+    return text;
+  };
+
+  // A structured turn's description is its answer text, sent as soon as the string is complete
+  const emitDescription = (tc) => {
+    if (tc.name !== 'describe_scene' || tc.descriptionSent) return;
+    const match = tc.arguments.match(DESCRIPTION_PATTERN);
+    if (!match) return;
+    tc.descriptionSent = true;
+    const description = JSON.parse(`"${match[1]}"`).trim();
+    if (description) emitText(description, '');
+    described = true;
+  };
+  const toolsUsed = [];
+  const conversation = [...messages];
+
+  for (const { text } of await takeDueReminders(session)) send({ reminder: text });
+
+  // Agent loop — stream, run any tool calls, feed the results back and continue
+  // until the model answers without calling tools. The last allowed step is sent
+  // without tools so the model has to produce its answer.
+  for (let step = 1; step <= MAX_AGENT_STEPS; step++) {
+    const tools = step < MAX_AGENT_STEPS ? schemas : undefined;
+    const stepTokens = structured && !objects ? maxTokens + OBJECT_LIST_TOKENS : maxTokens;
+    let stepText = '';
+    let toolCalls = [];
+
+    // Stream response — text tokens arrive immediately
+    for await (const delta of abortable(provider.streamChat({ messages: conversation, tools, maxTokens: stepTokens, signal }), signal)) {
+      if (delta.content) stepText += emitText(delta.content, stepText);
+
+      // Accumulate tool call argument fragments across chunks
+      if (delta.tool_calls) {
+        for (const tc of delta.tool_calls) {
+          const i = tc.index ?? toolCalls.length;
+          if (!toolCalls[i]) {
+            toolCalls[i] = { id: tc.id || `call_${step}_${i}`, name: tc.function?.name || '', arguments: '' };
+          }
+          if (tc.function?.name) toolCalls[i].name = tc.function.name;
+          if (tc.function?.arguments) toolCalls[i].arguments += tc.function.arguments;
+          emitHazard(toolCalls[i]);
+          emitDescription(toolCalls[i]);
+        }
+      }
+    }
+
+    toolCalls = toolCalls.filter(Boolean);
+    if (signal?.aborted || !toolCalls.length) break;
+
+    // Execute the tool calls and append both sides of the exchange for the next step
+    conversation.push({
+      role: 'assistant',
+      content: stepText || null,
+      tool_calls: toolCalls.map(tc => ({
+        id: tc.id,
+        type: 'function',
+        function: { name: tc.name, arguments: tc.arguments }
+      }))
+    });
+
+    const toolResultMsgs = await Promise.all(toolCalls.map(async tc => {
+      toolsUsed.push(tc.name);
+      send({ step, tool: tc.name, status: 'running' });
+      const { content, ok } = await executeTool(tc.name, tc.arguments, toolContext);
+      send({ step, tool: tc.name, status: ok ? 'done' : 'error' });
+      if (ok && tc.name === 'describe_scene') {
+        ({ objects } = JSON.parse(tc.arguments));
+        send({ objects });
+      }
+      return { role: 'tool', tool_call_id: tc.id, content };
+    }));
+    conversation.push(...toolResultMsgs);
+
+    // describe_scene carried the answer — no follow-up call needed
+    if (described) break;
+  }
+
+  // A stale turn must not overwrite newer scene memory or history
+  if (signal?.aborted) {
+    console.log('[Chat] aborted by client after', fullText.length, 'chars');
+    return { text: fullText, tools: toolsUsed, objects, aborted: true };
+  }
+
+  // Every visual turn becomes part of the session's searchable scene history
+  if (image) await rememberScene(sessionId, fullText, objects);
+  if (ephemeral && image) rememberFrame(sessionId, frameHash);
+  if (session && !ephemeral) await appendTurn(session, message, fullText);
+
+  send({ done: true, tools: toolsUsed });
+
+  console.log('[Chat]', fullText.slice(0, 80) + (fullText.length > 80 ? '...' : ''));
+  if (toolsUsed.length) console.log('[Tools used]', toolsUsed.join(', '));
+
+  return { text: fullText, tools: toolsUsed, objects };
+}
+
+// Deltas from a provider stream until `signal` aborts. Providers pass the signal
+// on to their HTTP request; the error that surfaces from an aborted request ends
+// the stream quietly here instead of failing the turn.
+export async function* abortable(stream, signal) {
+  try {
+    for await (const delta of stream) {
+      if (signal?.aborted) return;
+      yield delta;
+    }
+  } catch (err) {
+    if (!signal?.aborted) throw err;
+  }
+}
+
+// AbortSignal that fires when the client disconnects before the response is
+// finished — a new question, a stopped stream, a closed tab. Listens on the
+// response: the request's own 'close' fires as soon as its body has been read.
+export function abortOnClose(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  return controller.signal;
+}
+
+// Write SSE headers and return a function that sends one `data:` event
+export function openSSE(res) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+  return (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+}
+
+// Stream a chat turn over SSE. Errors before streaming starts are JSON 4xx/5xx;
+// errors mid-stream arrive as a final { error } event. Generation stops if the
+// client disconnects.
+async function streamOverSSE(res, params) {
+  try {
+    const send = openSSE(res);
+    await runChat({ ...params, signal: abortOnClose(res) }, send);
+    res.end();
+  } catch (err) {
+    console.error('[Error]', err.message);
+    if (!res.headersSent) {
+      res.status(500).json({ error: err.message });
+    } else {
+      res.write(`data: ${JSON.stringify({ error: err.message })}\n\n`);
+      res.end();
+    }
+  }
+}
+
+// POST /api/chat — unified chat + vision endpoint, text-only or image+text
+export async function handleChat(req, res) {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const { message, image, sceneContext, conversationHistory, maxTokens, sessionId, ephemeral, frameHash, location, verbosity, language, structured } = req.body || {};
+  if (!message) return res.status(400).json({ error: 'No message provided' });
+
+  const session = sessionId ? await getSession(sessionId) : null;
+  if (sessionId && !session) return res.status(404).json({ error: 'Unknown session' });
+
+  await streamOverSSE(res, { message, image, sceneContext, conversationHistory, maxTokens, session, ephemeral, frameHash, location, verbosity, language, structured });
+}
+
+// POST /api/analyze — describe an image; same pipeline with a default prompt
+export async function handleAnalyze(req, res) {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const { image, message = DESCRIBE_PROMPT, maxTokens, sessionId, location, verbosity, language, structured } = req.body || {};
+  if (!image) return res.status(400).json({ error: 'No image provided' });
+
+  const session = sessionId ? await getSession(sessionId) : null;
+  if (sessionId && !session) return res.status(404).json({ error: 'Unknown session' });
+
+  await streamOverSSE(res, { message, image, maxTokens, session, ephemeral: true, location, verbosity, language, structured });
+}
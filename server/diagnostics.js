@@ -0,0 +1,195 @@
+import { promises as fs, constants, readFileSync } from 'fs';
+import { getProvider, missingProviderEnv } from './providers/index.js';
+import { getTtsEngine } from './tts/index.js';
+import { getRecognizer } from './stt/index.js';
+import { DATA_DIR } from './store.js';
+import { authRequired, userCount, hasDiagnosticsKey } from './auth.js';
+import { getLimits } from './usage.js';
+import { recentStats } from './metrics.js';
+
+// Readiness and diagnostics.
+//   GET /api/health      — public: 200 when the server can answer (provider
+//                          configured, storage writable, model reachable), else 503.
+//                          The client's connectivity probe treats 503 as offline.
+//   GET /api/diagnostics — for operators, with DIAGNOSTICS_KEY as a Bearer token:
+//                          configuration (never secrets), upstream latency, recent
+//                          error rates and time-to-first-token, version. 404 while
+//                          DIAGNOSTICS_KEY is unset.
+
+const PING_TIMEOUT_MS = 3000;
+const HEALTH_PING_MAX_AGE_MS = 30000; // health is probed every 15 s per client — don't ping the model that often
+const startedAt = new Date();
+
+function readVersion() {
+  try {
+    return JSON.parse(readFileSync(new URL('../package.json', import.meta.url))).version;
+  } catch {
+    return null;
+  }
+}
+
+const version = readVersion();
+
+// Upstream error messages can quote the key ("Incorrect API key provided: sk-…")
+function redact(message) {
+  if (!message) return message;
+  let clean = message.replace(/\b(sk-|AIza)[\w*-]{4,}/g, '$1[redacted]');
+  for (const name of ['OPENAI_API_KEY', 'GEMINI_API_KEY', 'LOCAL_AI_API_KEY']) {
+    const secret = process.env[name];
+    if (secret && secret.length >= 8) clean = clean.split(secret).join('[redacted]');
+  }
+  return clean;
+}
+
+// ─── Checks ──────────────────────────────────────────────────────────────────
+
+function checkConfig() {
+  const missing = missingProviderEnv();
+  if (missing.length) return { ok: false, error: `${missing.join(', ')} not set` };
+  try {
+    getProvider();
+    return { ok: true };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+async function checkStorage() {
+  try {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    await fs.access(DATA_DIR, constants.W_OK);
+    return { ok: true };
+  } catch (err) {
+    return { ok: false, error: err.code || err.message };
+  }
+}
+
+let lastPing = null; // { ok, latencyMs, error, checkedAt }
+let pinging = null;
+
+async function ping() {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), PING_TIMEOUT_MS);
+  const start = Date.now();
+  try {
+    await getProvider().ping({ signal: controller.signal });
+    return { ok: true, latencyMs: Date.now() - start };
+  } catch (err) {
+    return { ok: false, error: controller.signal.aborted ? `No answer within ${PING_TIMEOUT_MS} ms` : redact(err.message) };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Can the model provider be reached with our key? Reuses a result up to `maxAgeMs` old.
+async function checkUpstream({ maxAgeMs = 0 } = {}) {
+  if (lastPing && Date.now() - lastPing.checkedAt <= maxAgeMs) return lastPing;
+  pinging ||= ping()
+    .then(result => (lastPing = { ...result, checkedAt: Date.now() }))
+    .finally(() => { pinging = null; });
+  return pinging;
+}
+
+async function readiness({ maxAgeMs }) {
+  const config = checkConfig();
+  const storage = await checkStorage();
+  const upstream = config.ok ? await checkUpstream({ maxAgeMs }) : { ok: false, error: 'Provider not configured' };
+  return { config, storage, upstream };
+}
+
+// An optional speech engine: what is selected, and whether it can run
+function engineStatus(getEngine, env) {
+  try {
+    const engine = getEngine();
+    if (!engine) return { name: null };
+    const missing = engine.name === 'openai' && !process.env.OPENAI_API_KEY ? ['OPENAI_API_KEY'] : [];
+    return { name: engine.name, model: engine.model, ok: missing.length === 0, missing };
+  } catch (err) {
+    return { name: process.env[env], ok: false, error: err.message };
+  }
+}
+
+// The engine's name if it can run, else null
+function usableEngine(getEngine, env) {
+  const status = engineStatus(getEngine, env);
+  return status.ok ? status.name : null;
+}
+
+// Misconfigured speech engines (unknown name, missing key), for the startup log and health
+export function speechConfigErrors() {
+  return [[getTtsEngine, 'TTS_ENGINE'], [getRecognizer, 'STT_ENGINE']]
+    .map(([getEngine, env]) => engineStatus(getEngine, env))
+    .filter(status => status.ok === false)
+    .map(status => status.error || `${status.name} engine needs ${status.missing.join(', ')}`);
+}
+
+// ─── Handlers ────────────────────────────────────────────────────────────────
+
+export async function handleHealth(req, res) {
+  const checks = await readiness({ maxAgeMs: HEALTH_PING_MAX_AGE_MS });
+  const ready = Object.values(checks).every(check => check.ok);
+  const provider = checks.config.ok ? getProvider() : null;
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ok' : 'unavailable',
+    provider: provider?.name || null,
+    model: provider?.model || null,
+    tts: usableEngine(getTtsEngine, 'TTS_ENGINE'),
+    stt: usableEngine(getRecognizer, 'STT_ENGINE'),
+    // Pass/fail only — the reasons are in /api/diagnostics. Speech is optional:
+    // a broken engine is reported but the server is still ready.
+    checks: {
+      ...Object.fromEntries(Object.entries(checks).map(([name, check]) => [name, check.ok])),
+      speech: speechConfigErrors().length === 0
+    },
+    timestamp: new Date().toISOString()
+  });
+}
+
+export async function handleDiagnostics(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  if (!process.env.DIAGNOSTICS_KEY) {
+    return res.status(404).json({ error: 'Diagnostics are disabled (set DIAGNOSTICS_KEY)' });
+  }
+  if (!hasDiagnosticsKey(req)) {
+    return res.status(401).json({ error: 'Missing or invalid diagnostics key' });
+  }
+
+  try {
+    const { config, storage, upstream } = await readiness({ maxAgeMs: 0 });
+    const provider = config.ok ? getProvider() : null;
+    const recent = recentStats();
+    recent.model.lastError = redact(recent.model.lastError);
+
+    res.json({
+      status: config.ok && storage.ok && upstream.ok ? 'ok' : 'unavailable',
+      version,
+      commit: process.env.VERCEL_GIT_COMMIT_SHA || process.env.GIT_COMMIT || null,
+      node: process.version,
+      startedAt: startedAt.toISOString(),
+      uptimeSeconds: Math.round(process.uptime()),
+      provider: {
+        name: provider?.name || (process.env.AI_PROVIDER || 'openai').toLowerCase(),
+        model: provider?.model || null,
+        host: provider?.baseURL ? new URL(provider.baseURL).host : null,
+        configured: config.ok,
+        error: config.error,
+        missing: missingProviderEnv()
+      },
+      upstream: { reachable: upstream.ok, latencyMs: upstream.latencyMs ?? null, error: upstream.error },
+      storage: { writable: storage.ok, error: storage.error },
+      speech: {
+        tts: engineStatus(getTtsEngine, 'TTS_ENGINE'),
+        stt: engineStatus(getRecognizer, 'STT_ENGINE')
+      },
+      auth: { required: authRequired(), users: userCount() },
+      limits: getLimits(),
+      recent
+    });
+  } catch (err) {
+    console.error('[Diagnostics Error]', err.message);
+    res.status(500).json({ error: err.message });
+  }
+}
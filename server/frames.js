@@ -0,0 +1,40 @@
+// Optional server-side backstop for frame de-duplication. Clients send the
+// frame's dHash (see src/lib/frameDiff.js) with streaming frames; a frame whose
+// hash is within FRAME_HASH_THRESHOLD bits of the session's last analyzed frame
+// is skipped without calling the model. 0 skips only identical hashes; -1 disables.
+//
+// Only frames whose turn completed are recorded (rememberFrame), so an aborted or
+// failed frame doesn't suppress the next look at the same scene.
+
+const THRESHOLD = process.env.FRAME_HASH_THRESHOLD == null ? 0 : Number(process.env.FRAME_HASH_THRESHOLD);
+const HASH_PATTERN = /^[0-9a-f]{16}$/i;
+const MAX_UNCHANGED_MS = 30000; // the client re-analyzes an unchanged scene this often — let it through
+const MAX_SESSIONS = 1000;      // sessions remembered, least recently streamed dropped first
+
+const lastHashes = new Map(); // sessionId → { hash, at }, oldest first
+
+function hammingDistance(a, b) {
+  let bits = 0;
+  for (let i = 0; i < a.length; i += 2) {
+    let x = parseInt(a.slice(i, i + 2), 16) ^ parseInt(b.slice(i, i + 2), 16);
+    while (x) { bits += x & 1; x >>= 1; }
+  }
+  return bits;
+}
+
+const usable = (sessionId, hash) => THRESHOLD >= 0 && Boolean(sessionId) && HASH_PATTERN.test(hash || '');
+
+// True if this frame matches the session's last analyzed frame and should be skipped
+export function isDuplicateFrame(sessionId, hash) {
+  if (!usable(sessionId, hash)) return false;
+  const last = lastHashes.get(sessionId);
+  return Boolean(last) && Date.now() - last.at < MAX_UNCHANGED_MS && hammingDistance(last.hash, hash) <= THRESHOLD;
+}
+
+// Record a frame whose analysis completed as the session's last analyzed frame
+export function rememberFrame(sessionId, hash) {
+  if (!usable(sessionId, hash)) return;
+  lastHashes.delete(sessionId);
+  lastHashes.set(sessionId, { hash, at: Date.now() });
+  if (lastHashes.size > MAX_SESSIONS) lastHashes.delete(lastHashes.keys().next().value);
+}
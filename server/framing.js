@@ -0,0 +1,64 @@
+import { getProvider } from './providers/index.js';
+import { recordFrame } from './usage.js';
+
+// Framing check for the capture assistant (src/lib/framing.js). Brightness, blur
+// and motion are measured on the device; this only answers the question the
+// device can't: is the thing the user asked about in the frame, and which way
+// should the camera move? One low-detail, tool-less call with a one-word reply.
+
+export const FRAMING_ADVICE = ['centered', 'left', 'right', 'up', 'down', 'closer', 'farther', 'not_visible'];
+
+const FRAMING_PROMPT = `You help a blind person aim their phone camera at something.
+You get a photo and what they want to photograph. Reply with exactly one word from this list and nothing else:
+centered — it is fully in the frame and roughly centered
+left — it is off-center or cut off on the left; the camera should move left
+right — it is off-center or cut off on the right; the camera should move right
+up — it is off-center or cut off at the top; the camera should move up
+down — it is off-center or cut off at the bottom; the camera should move down
+closer — it is in the frame but too small to make out
+farther — it is too close and overflows the frame on several sides
+not_visible — it is not in the photo at all`;
+
+// { image, target } → one of FRAMING_ADVICE. Unparseable replies count as
+// centered so a confused model never blocks the capture.
+export async function checkFraming({ image, target }) {
+  recordFrame();
+  const messages = [
+    { role: 'system', content: FRAMING_PROMPT },
+    {
+      role: 'user',
+      content: [
+        {
+          type: 'image_url',
+          image_url: {
+            url: image.startsWith('data:') ? image : `data:image/jpeg;base64,${image}`,
+            detail: 'low'
+          }
+        },
+        { type: 'text', text: `They want to photograph: ${target}` }
+      ]
+    }
+  ];
+  let reply = '';
+  for await (const delta of getProvider().streamChat({ messages, maxTokens: 8 })) {
+    if (delta.content) reply += delta.content;
+  }
+  const word = reply.trim().toLowerCase().match(/[a-z_]+/)?.[0];
+  return FRAMING_ADVICE.includes(word) ? word : 'centered';
+}
+
+// POST /api/framing — { image, target } → { advice }
+export async function handleFraming(req, res) {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const { image, target } = req.body || {};
+  if (!image) return res.status(400).json({ error: 'No image provided' });
+  if (typeof target !== 'string' || !target.trim()) return res.status(400).json({ error: 'No target provided' });
+
+  try {
+    res.json({ advice: await checkFraming({ image, target: target.trim().slice(0, 200) }) });
+  } catch (err) {
+    console.error('[Framing Error]', err.message);
+    res.status(500).json({ error: err.message });
+  }
+}
@@ -0,0 +1,104 @@
+import { createJsonlStore } from './store.js';
+
+// Persistent hazard log — every flag_hazard call, tagged with the session that
+// raised it, so caregivers and QA can review what was flagged on a walk.
+// Reads are always scoped to one session: entries carry locations, and the
+// session id (a random UUID) is what entitles a reader to see them.
+
+const URGENCIES = ['low', 'medium', 'high'];
+
+const store = createJsonlStore('hazards.jsonl');
+
+export async function recordHazard({ hazard, urgency }, { sessionId, location } = {}) {
+  const entry = {
+    id: `hz_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    sessionId: sessionId || null, // turns without a session are logged but can't be queried
+    hazard: String(hazard || '').slice(0, 200),
+    urgency: URGENCIES.includes(urgency) ? urgency : 'medium',
+    timestamp: new Date().toISOString(),
+    location: location && Number.isFinite(location.lat) && Number.isFinite(location.lng)
+      ? { lat: location.lat, lng: location.lng }
+      : null
+  };
+  await store.append(entry);
+  console.log('[Hazard flagged]', entry);
+  return entry;
+}
+
+// Accepts ISO strings or epoch milliseconds; returns ms or null
+function parseTime(value) {
+  if (value == null || value === '') return null;
+  const ms = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+// One session's hazards; no session, no results
+export async function queryHazards({ sessionId, urgency, since, until, limit } = {}) {
+  if (!sessionId) return [];
+  const urgencies = urgency ? String(urgency).split(',').map(u => u.trim()) : null;
+  const from = parseTime(since);
+  const to = parseTime(until);
+
+  let results = (await store.all()).filter(h => {
+    if (h.sessionId !== sessionId) return false;
+    if (urgencies && !urgencies.includes(h.urgency)) return false;
+    const t = Date.parse(h.timestamp);
+    if (from !== null && t < from) return false;
+    if (to !== null && t > to) return false;
+    return true;
+  });
+
+  if (limit) results = results.slice(-Number(limit));
+  return results;
+}
+
+function csvCell(value) {
+  const s = value == null ? '' : String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function hazardsToCSV(hazards) {
+  const header = ['id', 'sessionId', 'timestamp', 'urgency', 'hazard', 'lat', 'lng'];
+  const rows = hazards.map(h => [h.id, h.sessionId, h.timestamp, h.urgency, h.hazard, h.location?.lat, h.location?.lng]);
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+// Hazards without a location keep a null geometry, which GeoJSON allows
+export function hazardsToGeoJSON(hazards) {
+  return {
+    type: 'FeatureCollection',
+    features: hazards.map(({ location, ...properties }) => ({
+      type: 'Feature',
+      geometry: location ? { type: 'Point', coordinates: [location.lng, location.lat] } : null,
+      properties
+    }))
+  };
+}
+
+// GET /api/hazards?sessionId=&urgency=high,medium&since=&until=&limit=&format=json|csv|geojson
+export async function handleHazards(req, res) {
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const { format = 'json', ...filters } = req.query || {};
+    if (!filters.sessionId) return res.status(400).json({ error: 'sessionId is required' });
+    const hazards = await queryHazards(filters);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="hazards.csv"');
+      return res.send(hazardsToCSV(hazards));
+    }
+    if (format === 'geojson') {
+      res.setHeader('Content-Type', 'application/geo+json');
+      res.setHeader('Content-Disposition', 'attachment; filename="hazards.geojson"');
+      return res.send(JSON.stringify(hazardsToGeoJSON(hazards)));
+    }
+    if (format !== 'json') return res.status(400).json({ error: `Unknown format "${format}"` });
+
+    res.json({ count: hazards.length, hazards });
+  } catch (err) {
+    console.error('[Hazards Error]', err.message);
+    res.status(500).json({ error: err.message });
+  }
+}
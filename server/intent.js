@@ -0,0 +1,54 @@
+import { getProvider } from './providers/index.js';
+
+// Lightweight intent classification for Traditional mode. The client matches
+// common commands with local rules (src/lib/intents.js) and only asks here when
+// they don't match, so this has to be fast: one short, tool-less model call.
+
+export const INTENTS = [
+  'describe', 'read_text', 'recall', 'repeat', 'previous', 'next', 'when', 'spell', 'stop', 'slower', 'faster', 'help', 'question'
+];
+
+const INTENT_PROMPT = `Classify a spoken request from a blind user of a scene-description app.
+Reply with exactly one word from this list and nothing else:
+describe — wants to know what is around them or in front of them now
+read_text — wants text, a label, a sign or a document read out
+recall — asks about something seen earlier ("where did I leave...", "did you see...")
+repeat — wants the last thing said repeated
+previous — wants to hear the item before that one
+next — wants to hear the item after that one
+when — asks how long ago the last thing said happened
+spell — wants a word spelled out letter by letter
+stop — wants the speech to stop
+slower — wants slower speech
+faster — wants faster speech
+help — asks what they can say or do
+question — anything else
+The request may be in any language.`;
+
+export async function classifyIntent(text) {
+  const messages = [
+    { role: 'system', content: INTENT_PROMPT },
+    { role: 'user', content: text }
+  ];
+  let reply = '';
+  for await (const delta of getProvider().streamChat({ messages, maxTokens: 8 })) {
+    if (delta.content) reply += delta.content;
+  }
+  const word = reply.trim().toLowerCase().match(/[a-z_]+/)?.[0];
+  return INTENTS.includes(word) ? word : 'question';
+}
+
+// POST /api/intent — { text } → { intent }
+export async function handleIntent(req, res) {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const { text } = req.body || {};
+  if (typeof text !== 'string' || !text.trim()) return res.status(400).json({ error: 'No text provided' });
+
+  try {
+    res.json({ intent: await classifyIntent(text.trim().slice(0, 500)) });
+  } catch (err) {
+    console.error('[Intent Error]', err.message);
+    res.status(500).json({ error: err.message });
+  }
+}
@@ -0,0 +1,109 @@
+import { createJsonlStore } from './store.js';
+
+// Scene memory — a timestamped history of every scene description per session,
+// searched by recall_memory so follow-ups can reach beyond the last frame.
+// Turns without a session (legacy clients) are neither stored nor searched, so
+// one user's scenes can never answer another's question.
+
+const MAX_SCENES = 200;            // per session, most recent kept searchable
+const RECENCY_HALF_LIFE_MS = 10 * 60 * 1000;
+const DUPLICATE_THRESHOLD = 0.75;  // Jaccard overlap treated as the same scene
+
+const STOPWORDS = new Set(('a an the is are was were be been of in on at to for with and or but it its this that ' +
+  'there here what where which who how did do does you your i me my we see saw notice noticed mention mentioned ' +
+  'about any some from earlier before ago minutes minute seconds remember recall').split(' '));
+
+const store = createJsonlStore('scenes.jsonl');
+
+function words(text) {
+  return text.toLowerCase().match(/[a-z0-9']+/g) || [];
+}
+
+// Crude stemming so "chairs" matches "chair"
+function stem(word) {
+  return word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word;
+}
+
+function keywords(text) {
+  return [...new Set(words(text).filter(w => !STOPWORDS.has(w)).map(stem))];
+}
+
+function similarity(a, b) {
+  const setA = new Set(words(a));
+  const setB = new Set(words(b));
+  const intersection = [...setA].filter(w => setB.has(w)).length;
+  const union = new Set([...setA, ...setB]).size;
+  return union === 0 ? 0 : intersection / union;
+}
+
+async function sessionScenes(sessionId) {
+  if (!sessionId) return [];
+  return (await store.all()).filter(s => s.sessionId === sessionId).slice(-MAX_SCENES);
+}
+
+// `objects` is the describe_scene list for structured turns, kept alongside the text
+export async function rememberScene(sessionId, description, objects = null) {
+  const text = description?.trim();
+  if (!text || !sessionId) return null;
+
+  const scenes = await sessionScenes(sessionId);
+  const last = scenes[scenes.length - 1];
+  if (last && similarity(last.description, text) > DUPLICATE_THRESHOLD) return null;
+
+  const entry = { sessionId, description: text, timestamp: new Date().toISOString() };
+  if (objects?.length) entry.objects = objects;
+  await store.append(entry);
+  return entry;
+}
+
+export async function recentScenes(sessionId, limit = 10) {
+  return (await sessionScenes(sessionId)).slice(-limit).reverse();
+}
+
+// Rank by keyword overlap, weighted by recency. With no keyword hits,
+// fall back to the most recent scenes so vague questions still get context.
+export async function searchScenes(sessionId, query, limit = 3) {
+  const scenes = await sessionScenes(sessionId);
+  const terms = keywords(query || '');
+  const now = Date.now();
+
+  const ranked = scenes
+    .map(scene => {
+      const sceneTerms = new Set(keywords(scene.description));
+      const hits = terms.filter(t => sceneTerms.has(t)).length;
+      const recency = Math.pow(0.5, (now - Date.parse(scene.timestamp)) / RECENCY_HALF_LIFE_MS);
+      return { ...scene, score: hits * (0.5 + 0.5 * recency) };
+    })
+    .filter(scene => scene.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  return ranked.length ? ranked.slice(0, limit) : scenes.slice(-limit).reverse();
+}
+
+export function timeAgo(timestamp, now = Date.now()) {
+  const seconds = Math.round((now - Date.parse(timestamp)) / 1000);
+  if (seconds < 60) return 'just now';
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return minutes === 1 ? '1 minute ago' : `${minutes} minutes ago`;
+  const hours = Math.round(minutes / 60);
+  return hours === 1 ? '1 hour ago' : `${hours} hours ago`;
+}
+
+// GET /api/memory?sessionId=&q=&limit= — recent scenes, or search results when q is set
+export async function handleMemory(req, res) {
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const { sessionId, q, limit = 10 } = req.query || {};
+    if (!sessionId) return res.status(400).json({ error: 'sessionId is required' });
+    const scenes = q
+      ? await searchScenes(sessionId, q, Number(limit))
+      : await recentScenes(sessionId, Number(limit));
+    res.json({
+      scenes: scenes.map(({ description, objects, timestamp }) => ({ description, objects: objects || null, timestamp, ago: timeAgo(timestamp) }))
+    });
+  } catch (err) {
+    console.error('[Memory Error]', err.message);
+    res.status(500).json({ error: err.message });
+  }
+}
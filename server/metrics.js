@@ -0,0 +1,73 @@
+// Recent-activity numbers for /api/diagnostics: model call errors and
+// time-to-first-token, and API responses by status. Kept in memory for the
+// last WINDOW_MS — per process, so on serverless each instance reports its own.
+
+const WINDOW_MS = 15 * 60 * 1000;
+const MAX_SAMPLES = 1000;
+
+const modelCalls = []; // { at, ttftMs?, error? }
+const responses = [];  // { at, status }
+
+function push(samples, sample) {
+  samples.push(sample);
+  if (samples.length > MAX_SAMPLES) samples.shift();
+}
+
+const recent = (samples, now) => samples.filter(s => now - s.at <= WINDOW_MS);
+const rate = (part, total) => (total ? Math.round((part / total) * 1000) / 1000 : 0);
+
+// Wrap a provider so each streamChat call records its time to first delta and
+// whether it failed. Calls aborted by the client count as neither.
+export function instrumented(provider) {
+  return {
+    ...provider,
+    async *streamChat(params) {
+      const startedAt = Date.now();
+      let ttftMs;
+      let error;
+      try {
+        for await (const delta of provider.streamChat(params)) {
+          ttftMs ??= Date.now() - startedAt;
+          yield delta;
+        }
+      } catch (err) {
+        error = err.message;
+        throw err;
+      } finally {
+        // Also reached when the caller stops reading early (e.g. a one-word classification)
+        if (!params.signal?.aborted) push(modelCalls, { at: startedAt, ttftMs, error });
+      }
+    }
+  };
+}
+
+// Express middleware: remember the status of every API response
+export function trackResponses(req, res, next) {
+  res.on('finish', () => push(responses, { at: Date.now(), status: res.statusCode }));
+  next();
+}
+
+export function recentStats(now = Date.now()) {
+  const calls = recent(modelCalls, now);
+  const failed = calls.filter(c => c.error);
+  const timed = calls.filter(c => c.ttftMs !== undefined);
+  const served = recent(responses, now);
+  const serverErrors = served.filter(r => r.status >= 500).length;
+
+  return {
+    windowMinutes: WINDOW_MS / 60000,
+    model: {
+      calls: calls.length,
+      errors: failed.length,
+      errorRate: rate(failed.length, calls.length),
+      avgTimeToFirstTokenMs: timed.length ? Math.round(timed.reduce((sum, c) => sum + c.ttftMs, 0) / timed.length) : null,
+      lastError: failed.at(-1)?.error ?? null
+    },
+    http: {
+      responses: served.length,
+      clientErrors: served.filter(r => r.status >= 400 && r.status < 500).length,
+      serverErrors,
+      errorRate: rate(serverErrors, served.length)
+    }
+  };
+}
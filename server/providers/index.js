@@ -0,0 +1,64 @@
+import { createOpenAIProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+import { metered } from '../usage.js';
+import { instrumented } from '../metrics.js';
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/openai/';
+
+// Build a provider from env config. AI_PROVIDER selects one of:
+//   openai — api.openai.com (OPENAI_API_KEY)
+//   gemini — Google's OpenAI-compatible endpoint (GEMINI_API_KEY)
+//   local  — any OpenAI-compatible server, e.g. Ollama (LOCAL_AI_BASE_URL)
+//   mock   — deterministic offline responses for tests and demos
+// AI_MODEL overrides the provider's default model.
+export function createProvider(env = process.env) {
+  const name = (env.AI_PROVIDER || 'openai').toLowerCase();
+  const model = env.AI_MODEL || undefined;
+
+  switch (name) {
+    case 'openai':
+      return createOpenAIProvider({ apiKey: env.OPENAI_API_KEY, model });
+    case 'gemini':
+      return createOpenAIProvider({
+        name: 'gemini',
+        apiKey: env.GEMINI_API_KEY,
+        baseURL: GEMINI_BASE_URL,
+        model: model || 'gemini-2.0-flash'
+      });
+    case 'local':
+      return createOpenAIProvider({
+        name: 'local',
+        apiKey: env.LOCAL_AI_API_KEY || 'local',
+        baseURL: env.LOCAL_AI_BASE_URL || 'http://localhost:11434/v1',
+        model: model || 'llava'
+      });
+    case 'mock':
+      return createMockProvider({ model, delayMs: Number(env.MOCK_DELAY_MS) || 0 });
+    default:
+      throw new Error(`Unknown AI_PROVIDER "${name}" (expected openai, gemini, local or mock)`);
+  }
+}
+
+// Env vars each provider can't work without
+const REQUIRED_ENV = {
+  openai: ['OPENAI_API_KEY'],
+  gemini: ['GEMINI_API_KEY'],
+  local: [],
+  mock: []
+};
+
+// The required env vars that aren't set, for /api/health and /api/diagnostics
+export function missingProviderEnv(env = process.env) {
+  const name = (env.AI_PROVIDER || 'openai').toLowerCase();
+  return (REQUIRED_ENV[name] || []).filter(key => !env[key]);
+}
+
+let provider = null;
+
+// Shared provider instance, created on first use. Its token usage counts
+// against the quota of the user whose request is running (usage.js), and its
+// errors and latency show up in /api/diagnostics (metrics.js).
+export function getProvider() {
+  if (!provider) provider = metered(instrumented(createProvider()));
+  return provider;
+}
@@ -0,0 +1,113 @@
+// Deterministic offline provider — no network, same delta shape as the real ones.
+// Lets the whole SSE + tool-calling pipeline run in tests and demos without a key.
+
+const HAZARD_PATTERN = /\b(stairs?|steps?|danger(ous)?|obstacles?|curb)\b/i;
+const RECALL_PATTERN = /\b(where (was|were|did)|remember|recall|earlier|mentioned)\b/i;
+const REMINDER_PATTERN = /\bremind me (?:in (\d+) minutes? )?(?:to )?(.+)/i;
+const READ_PATTERN = /\bread\b/i;
+const FRAMING_PATTERN = /^They want to photograph:/;
+
+// Verbatim transcription for /api/read, which offers no tools: three paragraphs, cut off at the bottom
+const READ_REPLY = 'AMOXICILLIN 500 MG CAPSULES\n\nTake one capsule by mouth three times daily until all are taken.\n\nKeep out of reach of children. Store below 25°C.\n[CUT OFF: bottom]';
+
+const SCENE_REPLY = 'I notice a table at 12 o\'clock about two meters ahead. A doorway is at 3 o\'clock, and the path to your left is clear.';
+
+// The same scene as a describe_scene object list, for structured turns
+const SCENE_OBJECTS = [
+  { label: 'table', clock_position: 12, distance: 'a few steps', hazard: false },
+  { label: 'doorway', clock_position: 3, distance: 'across the room', hazard: false }
+];
+
+function textOf(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) return content.filter(p => p.type === 'text').map(p => p.text).join(' ');
+  return '';
+}
+
+function hasImage(content) {
+  return Array.isArray(content) && content.some(p => p.type === 'image_url');
+}
+
+function hasTool(tools, name) {
+  return tools?.some(t => t.function?.name === name);
+}
+
+// Pick a reply (and optionally a tool call) purely from the conversation
+function plan(messages, tools) {
+  const last = messages[messages.length - 1];
+
+  // Continuation after a tool round — acknowledge the tool result
+  if (last?.role === 'tool') {
+    return { text: `Okay. ${last.content}` };
+  }
+
+  const text = textOf(last?.content);
+
+  const reminder = text.match(REMINDER_PATTERN);
+  if (reminder && hasTool(tools, 'set_reminder')) {
+    return { toolCall: { name: 'set_reminder', arguments: { text: reminder[2].trim(), minutes_from_now: Number(reminder[1]) || 5 } } };
+  }
+
+  // Framing check (/api/framing) — always well framed
+  if (FRAMING_PATTERN.test(text) && hasImage(last?.content)) {
+    return { text: 'centered' };
+  }
+
+  if (READ_PATTERN.test(text) && hasImage(last?.content) && hasTool(tools, 'read_text')) {
+    return { toolCall: { name: 'read_text', arguments: { text: 'EXIT\n\nPush bar to open', cut_off: false } } };
+  }
+
+  if (READ_PATTERN.test(text) && hasImage(last?.content) && !tools?.length) {
+    return { text: READ_REPLY };
+  }
+
+  if (HAZARD_PATTERN.test(text) && hasTool(tools, 'flag_hazard')) {
+    const hazard = text.match(HAZARD_PATTERN)[0].toLowerCase();
+    return { toolCall: { name: 'flag_hazard', arguments: { hazard: `${hazard} ahead`, urgency: 'high' } } };
+  }
+
+  if (RECALL_PATTERN.test(text) && hasTool(tools, 'recall_memory')) {
+    return { toolCall: { name: 'recall_memory', arguments: { query: text } } };
+  }
+
+  if (hasImage(last?.content) && hasTool(tools, 'describe_scene')) {
+    return { toolCall: { name: 'describe_scene', arguments: { description: SCENE_REPLY, objects: SCENE_OBJECTS } } };
+  }
+
+  if (hasImage(last?.content)) return { text: SCENE_REPLY };
+
+  return { text: `I notice you asked: "${text.trim()}". This is a mock response.` };
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export function createMockProvider({ model = 'mock-1', delayMs = 0 } = {}) {
+  let callCount = 0;
+
+  return {
+    name: 'mock',
+    model,
+
+    async *streamChat({ messages, tools, signal }) {
+      const { text, toolCall } = plan(messages, tools);
+
+      if (toolCall) {
+        const args = JSON.stringify(toolCall.arguments);
+        const id = `call_mock_${++callCount}`;
+        // Split arguments across two deltas, like the real streaming API does
+        const mid = Math.floor(args.length / 2);
+        yield { tool_calls: [{ index: 0, id, type: 'function', function: { name: toolCall.name, arguments: args.slice(0, mid) } }] };
+        yield { tool_calls: [{ index: 0, function: { arguments: args.slice(mid) } }] };
+        return;
+      }
+
+      for (const word of text.match(/\S+\s*/g) || []) {
+        if (delayMs) await wait(delayMs);
+        if (signal?.aborted) return;
+        yield { content: word };
+      }
+    },
+
+    async ping() {}
+  };
+}
@@ -0,0 +1,38 @@
+import OpenAI from 'openai';
+
+// OpenAI chat completions — also used for any OpenAI-compatible endpoint
+// (Gemini's compatibility layer, Ollama, LM Studio, vLLM) by overriding baseURL.
+export function createOpenAIProvider({ name = 'openai', apiKey, baseURL, model = 'gpt-4o-mini' }) {
+  const client = new OpenAI({ apiKey, baseURL });
+
+  return {
+    name,
+    model,
+    baseURL: client.baseURL,
+
+    // Yields OpenAI-style deltas: { content?, tool_calls? }, then { usage } with
+    // the token counts. Aborting `signal` cancels the upstream request, so no
+    // more tokens are generated or billed.
+    async *streamChat({ messages, tools, maxTokens, signal }) {
+      const stream = await client.chat.completions.create({
+        model,
+        messages,
+        tools: tools?.length ? tools : undefined,
+        max_tokens: maxTokens,
+        stream: true,
+        stream_options: { include_usage: true }
+      }, { signal });
+
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta;
+        if (delta) yield delta;
+        if (chunk.usage) yield { usage: chunk.usage };
+      }
+    },
+
+    // Cheapest authenticated call — proves the endpoint is reachable and the key works
+    async ping({ signal } = {}) {
+      await client.models.list({ signal });
+    }
+  };
+}
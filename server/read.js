@@ -0,0 +1,129 @@
+import { getProvider } from './providers/index.js';
+import { openSSE, abortable, abortOnClose } from './chat.js';
+import { recordFrame } from './usage.js';
+
+// Verbatim text reading for Read mode. Unlike /api/chat the frame is sent at
+// high detail, no tools are offered and nothing is summarized: the model
+// transcribes every word in reading order, paragraphs separated by blank lines.
+
+const READ_PROMPT = `You read printed and handwritten text for a blind person.
+Transcribe ALL text in the image exactly as written, in natural reading order (top to bottom, left to right, one column at a time).
+- Do not summarize, translate, explain or correct anything.
+- Put a blank line between paragraphs, list items, table rows and separate blocks of text.
+- Keep numbers, units, dosages and punctuation exactly as printed.
+- Write [illegible] for words you cannot read.
+- If there is no text at all, reply exactly: NO TEXT
+- If any text runs past an edge of the image, add one final line: [CUT OFF: <edges>] listing top, bottom, left and/or right.`;
+
+const MAX_READ_TOKENS = 1500;
+
+const CUT_OFF_MARKER = '[CUT OFF:';
+const CUT_OFF_LINE = /^\[CUT OFF:\s*([a-z,\s]*)\]\s*$/i;
+const EDGES = ['top', 'bottom', 'left', 'right'];
+
+// Edges named by a "[CUT OFF: bottom, right]" line, or null if `line` isn't one
+function parseCutOff(line) {
+  const match = line.trim().match(CUT_OFF_LINE);
+  if (!match) return null;
+  return EDGES.filter(edge => match[1].toLowerCase().includes(edge));
+}
+
+// Read all text in `image`, emitting through `send`:
+//   { text }                       — transcribed text, streamed in reading order
+//   { done, cutOff, noText }       — final event; cutOff lists the edges text runs past
+// The cut-off marker line is stripped from the text. Returns { text, cutOff, noText };
+// if `signal` aborts, transcription stops and no final event is sent.
+export async function runRead({ image, signal }, send) {
+  recordFrame();
+  const messages = [
+    { role: 'system', content: READ_PROMPT },
+    {
+      role: 'user',
+      content: [
+        {
+          type: 'image_url',
+          image_url: {
+            url: image.startsWith('data:') ? image : `data:image/jpeg;base64,${image}`,
+            detail: 'high'  // small print needs full resolution
+          }
+        },
+        { type: 'text', text: 'Read all the text in this image.' }
+      ]
+    }
+  ];
+
+  let fullText = '';
+  let held = '';          // text not yet sent
+  let atLineStart = true; // `held` begins a line, so it could still be the marker
+  let cutOff = [];
+
+  const emit = (text) => {
+    if (!text) return;
+    fullText += text;
+    send({ text });
+  };
+
+  // Send complete lines, minus the marker; a partial line is sent too unless it
+  // could still turn into the marker
+  const flush = (final = false) => {
+    let newline;
+    while ((newline = held.indexOf('\n')) !== -1) {
+      const line = held.slice(0, newline + 1);
+      held = held.slice(newline + 1);
+      const edges = atLineStart && parseCutOff(line);
+      if (edges) cutOff = edges;
+      else emit(line);
+      atLineStart = true;
+    }
+    if (final) {
+      const edges = atLineStart && parseCutOff(held);
+      if (edges) cutOff = edges;
+      else emit(held);
+      held = '';
+    } else if (held && !(atLineStart && CUT_OFF_MARKER.startsWith(held.trimStart().slice(0, CUT_OFF_MARKER.length).toUpperCase()))) {
+      emit(held);
+      held = '';
+      atLineStart = false;
+    }
+  };
+
+  for await (const delta of abortable(getProvider().streamChat({ messages, maxTokens: MAX_READ_TOKENS, signal }), signal)) {
+    if (!delta.content) continue;
+    held += delta.content;
+    flush();
+  }
+  if (signal?.aborted) {
+    console.log('[Read] aborted by client after', fullText.length, 'chars');
+    return { text: fullText.trim(), cutOff, noText: false, aborted: true };
+  }
+  flush(true);
+
+  const text = fullText.trim();
+  const noText = !text || text === 'NO TEXT';
+  send({ done: true, cutOff, noText });
+
+  console.log('[Read]', `${text.length} chars${cutOff.length ? `, cut off at ${cutOff.join(', ')}` : ''}`);
+  return { text, cutOff, noText };
+}
+
+// POST /api/read — verbatim transcription of an image, streamed over SSE
+export async function handleRead(req, res) {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const { image } = req.body || {};
+  if (!image) return res.status(400).json({ error: 'No image provided' });
+
+  try {
+    const send = openSSE(res);
+    await runRead({ image, signal: abortOnClose(res) }, send);
+    res.end();
+  } catch (err) {
+    console.error('[Read Error]', err.message);
+    if (!res.headersSent) {
+      res.status(500).json({ error: err.message });
+    } else {
+      res.write(`data: ${JSON.stringify({ error: err.message })}\n\n`);
+      res.end();
+    }
+  }
+}
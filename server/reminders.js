@@ -0,0 +1,23 @@
+import { getSession } from './sessions.js';
+import { takeDueReminders } from './tools/setReminder.js';
+
+// POST /api/reminders { sessionId } — hand over the session's reminders that
+// have fallen due. Clients poll this so a reminder is spoken on time even when
+// the user isn't talking (chat turns deliver them too, whichever comes first).
+export async function handleDueReminders(req, res) {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const { sessionId } = req.body || {};
+  if (!sessionId) return res.status(400).json({ error: 'sessionId is required' });
+
+  const session = await getSession(sessionId);
+  if (!session) return res.status(404).json({ error: 'Unknown session' });
+
+  try {
+    const due = await takeDueReminders(session);
+    res.json({ reminders: due.map(({ text, dueAt }) => ({ text, dueAt })) });
+  } catch (err) {
+    console.error('[Reminders Error]', err.message);
+    res.status(500).json({ error: err.message });
+  }
+}
@@ -0,0 +1,189 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { DATA_DIR } from './store.js';
+import { getProvider } from './providers/index.js';
+import { recentScenes } from './memory.js';
+import { queryHazards } from './hazards.js';
+
+// Server-held sessions — conversation history lives here instead of being
+// re-posted by each client, so Traditional and Streaming mode share one context.
+// Turns older than the history window are folded into a running summary.
+
+const DEFAULT_HISTORY_WINDOW = Number(process.env.HISTORY_WINDOW) || 4;  // messages kept verbatim
+const SUMMARIZE_AFTER = 4;    // extra messages allowed past the window before compacting
+const MAX_CONTENT_LENGTH = 2000;
+const ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+const MAX_CACHED = 1000; // sessions kept in memory, least recently used dropped first — the rest reload from disk
+
+const SESSIONS_DIR = path.join(DATA_DIR, 'sessions');
+const sessions = new Map(); // id → session, oldest use first
+const writes = new Map();   // id → the session's latest pending write
+const compacting = new Set();
+
+const SUMMARY_PROMPT = `Summarize this conversation between a blind user and their assistant in under 60 words.
+Keep objects and their positions, places, hazards and anything the user wants to find or remember.`;
+
+function clampWindow(value) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) ? Math.min(Math.max(n, 2), 20) : DEFAULT_HISTORY_WINDOW;
+}
+
+function cache(session) {
+  sessions.delete(session.id);
+  sessions.set(session.id, session);
+  if (sessions.size > MAX_CACHED) sessions.delete(sessions.keys().next().value);
+}
+
+async function writeSession(session) {
+  try {
+    await fs.mkdir(SESSIONS_DIR, { recursive: true });
+    await fs.writeFile(path.join(SESSIONS_DIR, `${session.id}.json`), JSON.stringify(session));
+  } catch (err) {
+    console.warn('[Session] Could not save', session.id, err.message);
+  }
+}
+
+// Writes to one session's file run one at a time, in order — overlapping
+// writeFile calls could leave an older state (or a mix of two) on disk
+export function saveSession(session) {
+  const write = (writes.get(session.id) || Promise.resolve()).then(() => writeSession(session));
+  writes.set(session.id, write);
+  write.then(() => {
+    if (writes.get(session.id) === write) writes.delete(session.id);
+  });
+  return write;
+}
+
+export async function createSession({ historyWindow } = {}) {
+  const now = new Date().toISOString();
+  const session = {
+    id: randomUUID(),
+    createdAt: now,
+    updatedAt: now,
+    historyWindow: historyWindow == null ? DEFAULT_HISTORY_WINDOW : clampWindow(historyWindow),
+    summary: '',
+    history: []
+  };
+  cache(session);
+  await saveSession(session);
+  return session;
+}
+
+// Returns null for unknown or malformed ids
+export async function getSession(id) {
+  if (!id || !ID_PATTERN.test(id)) return null;
+  if (sessions.has(id)) {
+    const session = sessions.get(id);
+    cache(session);
+    return session;
+  }
+  await writes.get(id); // an evicted session may still be saving
+  try {
+    const session = JSON.parse(await fs.readFile(path.join(SESSIONS_DIR, `${id}.json`), 'utf8'));
+    // Another request may have loaded it meanwhile — keep the first copy
+    if (sessions.has(id)) return sessions.get(id);
+    cache(session);
+    return session;
+  } catch {
+    return null;
+  }
+}
+
+// Keep only well-formed user/assistant text messages — used for both stored
+// history and the legacy client-supplied conversationHistory
+export function sanitizeHistory(history) {
+  if (!Array.isArray(history)) return [];
+  return history
+    .filter(h => h && (h.role === 'user' || h.role === 'assistant') && typeof h.content === 'string' && h.content.trim())
+    .map(h => ({ role: h.role, content: h.content.slice(0, MAX_CONTENT_LENGTH) }));
+}
+
+// Messages to send with the next turn: summary (if any) plus the recent window
+export function sessionContext(session) {
+  return {
+    summary: session.summary,
+    history: session.history.slice(-session.historyWindow)
+  };
+}
+
+export async function appendTurn(session, userMessage, assistantMessage) {
+  session.history.push(...sanitizeHistory([
+    { role: 'user', content: userMessage },
+    { role: 'assistant', content: assistantMessage }
+  ]));
+  session.updatedAt = new Date().toISOString();
+  await saveSession(session);
+
+  if (session.history.length > session.historyWindow + SUMMARIZE_AFTER) {
+    // Not awaited — the next turn can proceed with the un-compacted history
+    compactHistory(session).catch(err => console.warn('[Session] Summary failed:', err.message));
+  }
+}
+
+// Fold everything older than the window into session.summary
+async function compactHistory(session) {
+  if (compacting.has(session.id)) return;
+  compacting.add(session.id);
+  try {
+    const older = session.history.slice(0, -session.historyWindow);
+    if (!older.length) return;
+
+    const transcript = older.map(h => `${h.role}: ${h.content}`).join('\n');
+    const messages = [
+      { role: 'system', content: SUMMARY_PROMPT },
+      { role: 'user', content: (session.summary ? `Earlier summary: ${session.summary}\n\n` : '') + transcript }
+    ];
+
+    let summary = '';
+    for await (const delta of getProvider().streamChat({ messages, maxTokens: 120 })) {
+      if (delta.content) summary += delta.content;
+    }
+    if (!summary.trim()) return;
+
+    // History may have grown while summarizing — drop only what was summarized
+    session.history = session.history.slice(older.length);
+    session.summary = summary.trim();
+    await saveSession(session);
+  } finally {
+    compacting.delete(session.id);
+  }
+}
+
+// POST /api/sessions — body: { historyWindow? }
+export async function handleCreateSession(req, res) {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const session = await createSession(req.body || {});
+    res.status(201).json({ sessionId: session.id, historyWindow: session.historyWindow, createdAt: session.createdAt });
+  } catch (err) {
+    console.error('[Session Error]', err.message);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// GET /api/sessions/:id — everything the server holds for this session
+export async function handleGetSession(req, res) {
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const session = await getSession(req.params?.id ?? req.query?.id);
+  if (!session) return res.status(404).json({ error: 'Unknown session' });
+
+  try {
+    const [scene] = await recentScenes(session.id, 1);
+    res.json({
+      sessionId: session.id,
+      createdAt: session.createdAt,
+      historyWindow: session.historyWindow,
+      summary: session.summary,
+      history: session.history,
+      latestScene: scene?.description || null,
+      latestObjects: scene?.objects || null,
+      hazards: await queryHazards({ sessionId: session.id, limit: 10 })
+    });
+  } catch (err) {
+    console.error('[Session Error]', err.message);
+    res.status(500).json({ error: err.message });
+  }
+}
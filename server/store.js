@@ -0,0 +1,44 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Where persistent state lives. Vercel functions can only write to /tmp.
+export const DATA_DIR = process.env.SONAR_DATA_DIR
+  || (process.env.VERCEL ? '/tmp/sonarai' : path.resolve('data'));
+
+// Append-only JSON Lines file, loaded into memory on first use.
+// Good enough for a single server process; swap for SQLite if that changes.
+export function createJsonlStore(filename) {
+  const file = path.join(DATA_DIR, filename);
+  let entries = null;
+  let writeQueue = Promise.resolve();
+
+  async function load() {
+    if (entries) return entries;
+    try {
+      const raw = await fs.readFile(file, 'utf8');
+      entries = raw.split('\n').filter(Boolean).flatMap(line => {
+        try { return [JSON.parse(line)]; } catch { return []; }
+      });
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn(`[Store] Could not read ${file}:`, err.message);
+      entries = [];
+    }
+    return entries;
+  }
+
+  return {
+    async all() {
+      return load();
+    },
+
+    async append(entry) {
+      (await load()).push(entry);
+      // Serialize writes so concurrent appends never interleave lines
+      writeQueue = writeQueue
+        .then(() => fs.mkdir(DATA_DIR, { recursive: true }))
+        .then(() => fs.appendFile(file, JSON.stringify(entry) + '\n'))
+        .catch(err => console.warn(`[Store] Could not write ${file}:`, err.message));
+      return writeQueue;
+    }
+  };
+}
@@ -0,0 +1,165 @@
+import { WebSocketServer } from 'ws';
+import { runChat } from './chat.js';
+import { getSession } from './sessions.js';
+import { identify } from './auth.js';
+import { checkRate, checkQuota, runAsUser } from './usage.js';
+
+// Persistent channel for Streaming mode (src/lib/streamSocket.js), instead of a
+// new POST /api/chat per frame. Frames and questions run through the same
+// pipeline (runChat) but share one connection, so the server can put questions
+// ahead of frames. Express-only — serverless deploys (api/) keep using HTTP.
+//
+// Client → server, each with the client's own `seq`:
+//   { type: 'frame', ...chat body }    — an ephemeral frame, same fields as POST /api/chat
+//   { type: 'question', ...chat body } — a spoken question
+//   { type: 'cancel', re }             — stop the turn started by message `re`
+//   { type: 'control', command }       — pause | resume
+// Server → client, each with the server's `seq` and `re`, the message it answers:
+//   the turn's chat events ({ text }, { hazard }, { objects }, { done } …),
+//   { cancelled: true } when the turn was cancelled or superseded,
+//   { error, status } and { control: { paused } }.
+//
+// One turn runs at a time. A question aborts the frame being analyzed (and an
+// older question); only the newest waiting frame is kept. While paused, frames
+// are skipped. Muting is the client's business: muted frames are still described
+// (for scene memory and the event log), just not spoken.
+//
+// The API key goes in the URL (?key=…); every turn counts towards the user's
+// rate limit and quotas like an HTTP request (usage.js).
+
+const MAX_MESSAGE_BYTES = 4 * 1024 * 1024; // same as the JSON body limit
+const HEARTBEAT_MS = 30000;
+
+const CONTROLS = {
+  pause: { paused: true },
+  resume: { paused: false }
+};
+
+function handleConnection(ws, user) {
+  let seq = 0;
+  const state = { paused: false };
+  const waiting = { question: null, frame: null };
+  let running = null; // { msg, controller }
+
+  const send = (re, event) => {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify({ seq: ++seq, re, ...event }));
+  };
+
+  async function run(msg) {
+    const controller = new AbortController();
+    running = { msg, controller };
+    const frame = msg.type === 'frame';
+    try {
+      const { message, image, sceneContext, maxTokens, sessionId, frameHash, location, verbosity, language, structured } = msg;
+      const session = sessionId ? await getSession(sessionId) : null;
+      if (!message) {
+        send(msg.seq, { error: 'No message provided', status: 400 });
+      } else if (sessionId && !session) {
+        send(msg.seq, { error: 'Unknown session', status: 404 });
+      } else {
+        const result = await runChat(
+          { message, image, sceneContext, maxTokens, session, ephemeral: frame, frameHash, location, verbosity, language, structured, signal: controller.signal },
+          (event) => send(msg.seq, event)
+        );
+        if (result.aborted) send(msg.seq, { cancelled: true });
+      }
+    } catch (err) {
+      console.error('[Stream Error]', err.message);
+      send(msg.seq, { error: err.message, status: 500 });
+    } finally {
+      running = null;
+      next();
+    }
+  }
+
+  function next() {
+    if (running) return;
+    const msg = waiting.question || waiting.frame;
+    if (!msg) return;
+    waiting[msg.type] = null;
+    runAsUser(user, () => run(msg));
+  }
+
+  async function enqueue(msg) {
+    const limited = checkRate(user) || await checkQuota(user, { frame: Boolean(msg.image) });
+    if (limited) return send(msg.seq, limited);
+    if (msg.type === 'frame' && state.paused) {
+      send(msg.seq, { skipped: true });
+      send(msg.seq, { done: true, tools: [] });
+      return;
+    }
+    if (waiting[msg.type]) send(waiting[msg.type].seq, { cancelled: true });
+    waiting[msg.type] = msg;
+    if (msg.type === 'question') running?.controller.abort();
+    next();
+  }
+
+  function cancel(re) {
+    if (running?.msg.seq === re) return running.controller.abort();
+    for (const type of Object.keys(waiting)) {
+      if (waiting[type]?.seq !== re) continue;
+      waiting[type] = null;
+      send(re, { cancelled: true });
+    }
+  }
+
+  function control(msg) {
+    const patch = CONTROLS[msg.command];
+    if (!patch) return send(msg.seq, { error: `Unknown command "${msg.command}"`, status: 400 });
+    Object.assign(state, patch);
+    if (state.paused) {
+      if (running?.msg.type === 'frame') running.controller.abort();
+      if (waiting.frame) cancel(waiting.frame.seq);
+    }
+    send(msg.seq, { control: { ...state } });
+  }
+
+  ws.on('message', (data) => {
+    let msg;
+    try {
+      msg = JSON.parse(data);
+    } catch {}
+    // Valid JSON isn't enough — `null` or a number would throw below and take the process down
+    if (!msg || typeof msg !== 'object' || Array.isArray(msg)) {
+      return send(null, { error: 'Messages must be JSON', status: 400 });
+    }
+    if (msg.type === 'frame' || msg.type === 'question') enqueue(msg).catch(err => send(msg.seq, { error: err.message, status: 500 }));
+    else if (msg.type === 'cancel') cancel(msg.re);
+    else if (msg.type === 'control') control(msg);
+    else send(msg.seq ?? null, { error: `Unknown message type "${msg.type}"`, status: 400 });
+  });
+
+  ws.on('close', () => {
+    waiting.question = waiting.frame = null;
+    running?.controller.abort();
+  });
+}
+
+// Serve the channel at /api/stream on the Express server's HTTP server
+export function attachStreamSocket(server) {
+  const wss = new WebSocketServer({
+    server,
+    path: '/api/stream',
+    maxPayload: MAX_MESSAGE_BYTES,
+    verifyClient: ({ req }) => Boolean(identify(req)) // 401 without a valid key
+  });
+
+  // Drop connections that stopped answering pings (glasses that lost signal)
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (ws.isAlive === false) ws.terminate();
+      else {
+        ws.isAlive = false;
+        ws.ping();
+      }
+    }
+  }, HEARTBEAT_MS);
+  wss.on('close', () => clearInterval(heartbeat));
+
+  wss.on('connection', (ws, req) => {
+    ws.isAlive = true;
+    ws.on('pong', () => { ws.isAlive = true; });
+    handleConnection(ws, identify(req));
+  });
+  return wss;
+}
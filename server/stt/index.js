@@ -0,0 +1,37 @@
+import { createOpenAIRecognizer } from './openai.js';
+import { createMockRecognizer } from './mock.js';
+import { meteredRecognizer } from '../usage.js';
+
+// Speech recognizer for /api/transcribe, selected by STT_ENGINE:
+//   openai — OpenAI transcription (OPENAI_API_KEY; STT_MODEL)
+//   mock   — offline, always hears STT_MOCK_TEXT; for tests and demos
+//   none   — the default: /api/transcribe answers 503 and only browsers with
+//            the Web Speech API get voice input
+// A recognizer is { name, model, transcribe({ audio, mimeType, language, signal }) },
+// transcribe resolving to the text heard ('' for silence).
+export function createRecognizer(env = process.env) {
+  const name = (env.STT_ENGINE || 'none').toLowerCase();
+
+  switch (name) {
+    case 'openai':
+      return createOpenAIRecognizer({ apiKey: env.OPENAI_API_KEY, model: env.STT_MODEL || undefined });
+    case 'mock':
+      return createMockRecognizer({ text: env.STT_MOCK_TEXT || undefined });
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown STT_ENGINE "${name}" (expected openai, mock or none)`);
+  }
+}
+
+let recognizer;
+
+// Shared recognizer instance (null when disabled), created on first use. Its
+// estimated usage counts against the current user's quota (usage.js).
+export function getRecognizer() {
+  if (recognizer === undefined) {
+    const created = createRecognizer();
+    recognizer = created && meteredRecognizer(created);
+  }
+  return recognizer;
+}
@@ -0,0 +1,17 @@
+// Offline recognizer for tests and demos — no network, no key. Every clip with
+// any audio in it "says" the same phrase (STT_MOCK_TEXT), so the whole voice
+// path — capture, upload, intent, answer — can be exercised without a model.
+
+const DEFAULT_TEXT = 'What is in front of me?';
+const MIN_BYTES = 1024; // smaller clips are container headers with no speech
+
+export function createMockRecognizer({ text = DEFAULT_TEXT } = {}) {
+  return {
+    name: 'mock',
+    model: 'mock-1',
+
+    async transcribe({ audio }) {
+      return audio.length >= MIN_BYTES ? text : '';
+    }
+  };
+}
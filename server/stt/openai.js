@@ -0,0 +1,21 @@
+import OpenAI, { toFile } from 'openai';
+
+// OpenAI transcription — accepts the webm/ogg/mp4 clips MediaRecorder produces
+export function createOpenAIRecognizer({ apiKey, baseURL, model = 'gpt-4o-mini-transcribe' }) {
+  const client = new OpenAI({ apiKey, baseURL });
+
+  return {
+    name: 'openai',
+    model,
+
+    async transcribe({ audio, mimeType, language, signal }) {
+      const extension = mimeType.split('/')[1]?.split(';')[0] || 'webm';
+      const file = await toFile(audio, `clip.${extension}`, { type: mimeType });
+      const result = await client.audio.transcriptions.create(
+        { file, model, language, response_format: 'json' },
+        { signal }
+      );
+      return result.text || '';
+    }
+  };
+}
@@ -0,0 +1,29 @@
+const DISTANCE = {
+  'within reach': 'within reach',
+  'a few steps': 'a few steps away',
+  'across the room': 'across the room',
+  'far away': 'far away'
+};
+const FACING = { 'toward you': 'facing you', 'away from you': 'facing away', 'sideways': 'turned sideways' };
+
+export default {
+  name: 'describe_person_position',
+  description: 'Report where a person is relative to the user — clock position, distance and which way they are facing. Call once per person.',
+  parameters: {
+    type: 'object',
+    properties: {
+      clock_position: { type: 'integer', minimum: 1, maximum: 12, description: '12 is straight ahead, 3 is right' },
+      distance: { type: 'string', enum: Object.keys(DISTANCE) },
+      facing: { type: 'string', enum: Object.keys(FACING) },
+      activity: { type: 'string', maxLength: 80, description: 'Optional, e.g. "sitting at a desk"' }
+    },
+    required: ['clock_position', 'distance']
+  },
+
+  async handler({ clock_position: clock, distance, facing, activity }) {
+    const parts = [`Person at ${clock} o'clock, ${DISTANCE[distance]}`];
+    if (facing) parts.push(FACING[facing]);
+    if (activity) parts.push(activity);
+    return parts.join(', ') + '.';
+  }
+};
@@ -0,0 +1,37 @@
+// Distance bands shared with the client's object list (src/lib/sceneObjects.js)
+export const DISTANCE_BANDS = ['within reach', 'a few steps', 'across the room', 'far away'];
+
+const MAX_OBJECTS = 12;
+
+export default {
+  name: 'describe_scene',
+  description: 'Give the spoken description of the image together with its notable objects, each with its clock position and distance. Call once per image; this call is the whole answer.',
+  parameters: {
+    type: 'object',
+    properties: {
+      description: { type: 'string', description: 'What the user will hear, following the length and language rules above' },
+      objects: {
+        type: 'array',
+        maxItems: MAX_OBJECTS,
+        description: 'Most important first: hazards, then obstacles in the path, then landmarks',
+        items: {
+          type: 'object',
+          properties: {
+            label: { type: 'string', maxLength: 40, description: 'Short name, e.g. "chair" or "open door"' },
+            clock_position: { type: 'integer', minimum: 1, maximum: 12, description: '12 is straight ahead, 3 is right' },
+            distance: { type: 'string', enum: DISTANCE_BANDS },
+            hazard: { type: 'boolean', description: 'True if it could trip, hit or endanger the user' }
+          },
+          required: ['label', 'clock_position', 'distance', 'hazard']
+        }
+      }
+    },
+    required: ['description', 'objects']
+  },
+
+  // The description and objects reach the client as { text } and { objects }
+  // events (server/chat.js), which ends the turn without another model call
+  async handler({ objects }) {
+    return `Recorded ${objects.length} object${objects.length === 1 ? '' : 's'}.`;
+  }
+};
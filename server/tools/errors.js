@@ -0,0 +1,10 @@
+// Tool failures are reported back to the model as structured results,
+// so it can recover (retry, ask the user) rather than receive a silent default.
+export class ToolError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'ToolError';
+    this.code = code;
+    this.details = details;
+  }
+}
@@ -0,0 +1,19 @@
+import { recordHazard } from '../hazards.js';
+
+export default {
+  name: 'flag_hazard',
+  description: 'Flag a safety hazard or obstacle detected in the scene. Use this whenever you identify something dangerous — steps, obstacles, wet floors, low-hanging objects, moving vehicles.',
+  parameters: {
+    type: 'object',
+    properties: {
+      hazard: { type: 'string', maxLength: 200, description: 'Brief description of the hazard' },
+      urgency: { type: 'string', enum: ['low', 'medium', 'high'], description: 'How immediately dangerous this is' }
+    },
+    required: ['hazard', 'urgency']
+  },
+
+  async handler({ hazard, urgency }, context) {
+    await recordHazard({ hazard, urgency }, context);
+    return `Hazard logged: ${hazard} (${urgency} urgency)`;
+  }
+};
@@ -0,0 +1,22 @@
+export default {
+  name: 'identify_currency',
+  description: 'Identify a banknote or coin the user is holding or pointing at.',
+  parameters: {
+    type: 'object',
+    properties: {
+      currency: { type: 'string', maxLength: 3, description: 'ISO 4217 code, e.g. USD, EUR, INR' },
+      denomination: { type: 'number', minimum: 0, description: 'Face value, e.g. 20 for a twenty-dollar bill' },
+      kind: { type: 'string', enum: ['note', 'coin'] },
+      confidence: { type: 'string', enum: ['low', 'medium', 'high'] }
+    },
+    required: ['currency', 'denomination', 'confidence']
+  },
+
+  async handler({ currency, denomination, kind = 'note', confidence }) {
+    const value = `${denomination} ${currency.toUpperCase()} ${kind}`;
+    if (confidence === 'low') {
+      return `Possibly a ${value}, but not certain. Ask the user to flatten it and hold it closer to the camera.`;
+    }
+    return `Identified: ${value} (${confidence} confidence).`;
+  }
+};
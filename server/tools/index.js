@@ -0,0 +1,67 @@
+import { ToolError } from './errors.js';
+import { validateArgs } from './validate.js';
+import flagHazard from './flagHazard.js';
+import recallMemory from './recallMemory.js';
+import readText from './readText.js';
+import identifyCurrency from './identifyCurrency.js';
+import describePersonPosition from './describePersonPosition.js';
+import setReminder from './setReminder.js';
+import describeScene from './describeScene.js';
+
+// Tool registry. Each tool module exports { name, description, parameters, handler };
+// `parameters` is the JSON schema sent to the model and used to validate arguments.
+// handler(args, context) returns a string (or object, sent as JSON) for the model.
+
+const registry = new Map();
+
+export function registerTool(tool) {
+  if (!tool?.name || typeof tool.handler !== 'function') throw new Error('Tool needs a name and a handler');
+  registry.set(tool.name, tool);
+}
+
+[flagHazard, recallMemory, readText, identifyCurrency, describePersonPosition, setReminder, describeScene].forEach(registerTool);
+
+// Tool definitions in OpenAI function-calling format
+export function toolSchemas(names = [...registry.keys()]) {
+  return names.filter(n => registry.has(n)).map(n => {
+    const { name, description, parameters } = registry.get(n);
+    return { type: 'function', function: { name, description, parameters } };
+  });
+}
+
+function errorResult(code, message, details) {
+  return { ok: false, content: JSON.stringify({ error: { code, message, ...(details ? { details } : {}) } }) };
+}
+
+// Run a tool call from the model. `rawArgs` is the JSON string the model produced.
+// Always resolves to { content, ok } — `content` is the tool message for the model,
+// and failures become { error } JSON with ok: false.
+export async function executeTool(name, rawArgs, context) {
+  const tool = registry.get(name);
+  if (!tool) {
+    return errorResult('unknown_tool', `No tool named "${name}". Available: ${[...registry.keys()].join(', ')}`);
+  }
+
+  let args;
+  try {
+    args = rawArgs ? JSON.parse(rawArgs) : {};
+  } catch {
+    return errorResult('invalid_json', 'Arguments were not valid JSON.');
+  }
+
+  const problems = validateArgs(tool.parameters, args);
+  if (problems.length) {
+    return errorResult('invalid_arguments', `Invalid arguments for ${name}.`, problems);
+  }
+
+  try {
+    const result = await tool.handler(args, context);
+    return { ok: true, content: typeof result === 'string' ? result : JSON.stringify(result) };
+  } catch (err) {
+    if (err instanceof ToolError) return errorResult(err.code, err.message, err.details);
+    console.error(`[Tool error] ${name}:`, err.message);
+    return errorResult('tool_failed', `${name} failed: ${err.message}`);
+  }
+}
+
+export { ToolError };
@@ -0,0 +1,17 @@
+export default {
+  name: 'read_text',
+  description: 'Transcribe printed or handwritten text in the image exactly as written — labels, signs, menus, letters, screens. Use when the user asks you to read something. Do not summarize.',
+  parameters: {
+    type: 'object',
+    properties: {
+      text: { type: 'string', description: 'The text verbatim, in reading order, with blank lines between paragraphs' },
+      cut_off: { type: 'boolean', description: 'True if text runs past the edge of the frame' }
+    },
+    required: ['text']
+  },
+
+  async handler({ text, cut_off: cutOff }) {
+    const note = cutOff ? '\nThen tell the user the text continues past the edge of the frame.' : '';
+    return `Read this to the user word for word, without summarizing:\n"""${text}"""${note}`;
+  }
+};
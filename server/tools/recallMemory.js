@@ -0,0 +1,24 @@
+import { searchScenes, timeAgo } from '../memory.js';
+
+export default {
+  name: 'recall_memory',
+  description: 'Search the timestamped history of scene descriptions from this session to answer a follow-up question about something previously observed, even several minutes ago.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'What to look for, e.g. the object or place the user asked about' }
+    },
+    required: ['query']
+  },
+
+  async handler({ query }, context) {
+    const matches = await searchScenes(context.sessionId, query);
+    if (matches.length) {
+      return 'Scene memory matches (most relevant first):\n' +
+        matches.map(m => `- ${timeAgo(m.timestamp)}: "${m.description}"`).join('\n');
+    }
+    return context.sceneContext
+      ? `From scene memory: "${context.sceneContext}"`
+      : 'No scene memory available yet.';
+  }
+};
@@ -0,0 +1,39 @@
+import { randomUUID } from 'crypto';
+import { saveSession } from '../sessions.js';
+import { ToolError } from './errors.js';
+
+// Reminders live on the session. Once due they are delivered as { reminder }
+// events on the next /api/chat turn (every frame, in streaming mode), or to the
+// client's poll of POST /api/reminders (server/reminders.js), whichever is first.
+
+export default {
+  name: 'set_reminder',
+  description: 'Set a spoken reminder for the user, e.g. "remind me in 10 minutes to take my medication".',
+  parameters: {
+    type: 'object',
+    properties: {
+      text: { type: 'string', maxLength: 200, description: 'What to remind the user about' },
+      minutes_from_now: { type: 'number', minimum: 1, maximum: 1440 }
+    },
+    required: ['text', 'minutes_from_now']
+  },
+
+  async handler({ text, minutes_from_now: minutes }, { session }) {
+    if (!session) throw new ToolError('no_session', 'Reminders need a session; tell the user reminders are unavailable.');
+
+    const dueAt = new Date(Date.now() + minutes * 60 * 1000).toISOString();
+    session.reminders = [...(session.reminders || []), { id: randomUUID(), text, dueAt }];
+    await saveSession(session);
+    return `Reminder set for ${minutes} minute${minutes === 1 ? '' : 's'} from now: ${text}`;
+  }
+};
+
+// Remove and return reminders that have fallen due
+export async function takeDueReminders(session) {
+  const now = Date.now();
+  const due = (session?.reminders || []).filter(r => Date.parse(r.dueAt) <= now);
+  if (!due.length) return [];
+  session.reminders = session.reminders.filter(r => !due.includes(r));
+  await saveSession(session);
+  return due;
+}
@@ -0,0 +1,48 @@
+// Minimal JSON Schema check for tool arguments — covers the keywords our tool
+// schemas use (type, properties, required, enum, minimum, maximum, maxLength,
+// items, maxItems).
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Returns a list of problems; empty means valid
+export function validateArgs(schema, args, path = '') {
+  const errors = [];
+  const at = path || 'arguments';
+
+  if (schema.type && !matchesType(args, schema.type)) {
+    return [`${at} must be ${schema.type}, got ${typeOf(args)}`];
+  }
+  if (schema.enum && !schema.enum.includes(args)) {
+    errors.push(`${at} must be one of ${schema.enum.join(', ')}`);
+  }
+  if (typeof args === 'number') {
+    if (schema.minimum != null && args < schema.minimum) errors.push(`${at} must be >= ${schema.minimum}`);
+    if (schema.maximum != null && args > schema.maximum) errors.push(`${at} must be <= ${schema.maximum}`);
+  }
+  if (typeof args === 'string' && schema.maxLength != null && args.length > schema.maxLength) {
+    errors.push(`${at} must be at most ${schema.maxLength} characters`);
+  }
+  if (Array.isArray(args)) {
+    if (schema.maxItems != null && args.length > schema.maxItems) errors.push(`${at} must have at most ${schema.maxItems} items`);
+    if (schema.items) args.forEach((item, i) => errors.push(...validateArgs(schema.items, item, `${path || 'arguments'}[${i}]`)));
+  }
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (args[key] === undefined) errors.push(`${path ? `${path}.` : ''}${key} is required`);
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (args[key] !== undefined) errors.push(...validateArgs(propSchema, args[key], path ? `${path}.${key}` : key));
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,43 @@
+import { getRecognizer } from './stt/index.js';
+import { abortOnClose } from './chat.js';
+
+// Server-side speech recognition for browsers without the Web Speech API
+// (Firefox) and glasses that only expose a mic stream. The client records one
+// utterance at a time with MediaRecorder (src/lib/recognition.js) and uploads it.
+
+const MAX_AUDIO_BYTES = 2 * 1024 * 1024; // ~10 s clips are well under this
+const AUDIO_DATA_URL = /^data:(audio\/[\w.+-]+(?:;[\w=.-]+)*);base64,/;
+
+// POST /api/transcribe — { audio: data URL, language } → { text }
+export async function handleTranscribe(req, res) {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  let recognizer;
+  try {
+    recognizer = getRecognizer();
+  } catch (err) {
+    return res.status(503).json({ error: err.message }); // e.g. an unknown STT_ENGINE
+  }
+  if (!recognizer) return res.status(503).json({ error: 'Speech recognition is not configured (set STT_ENGINE)' });
+
+  const { audio, language } = req.body || {};
+  const match = typeof audio === 'string' && audio.match(AUDIO_DATA_URL);
+  if (!match) return res.status(400).json({ error: 'audio must be a base64 audio data URL' });
+  const buffer = Buffer.from(audio.slice(match[0].length), 'base64');
+  if (buffer.length > MAX_AUDIO_BYTES) return res.status(400).json({ error: 'Audio clip is too long' });
+
+  const signal = abortOnClose(res);
+  try {
+    const text = await recognizer.transcribe({
+      audio: buffer,
+      mimeType: match[1].split(';')[0],
+      language: typeof language === 'string' && /^[a-z]{2}$/.test(language) ? language : undefined,
+      signal
+    });
+    res.json({ text: text.trim() });
+  } catch (err) {
+    if (signal.aborted) return;
+    console.error('[Transcribe Error]', err.message);
+    res.status(500).json({ error: err.message });
+  }
+}
@@ -0,0 +1,44 @@
+import { getTtsEngine } from './tts/index.js';
+import { abortOnClose } from './chat.js';
+
+// Server-side speech for clients whose speechSynthesis is missing or poor
+// (Android WebViews on glasses). The client sends each sentence as /api/chat
+// produces it and fetches the next one while the previous plays.
+
+const MAX_TTS_CHARS = 1000;
+const SPEED = { min: 0.5, max: 3 }; // same range as the client's rate setting
+
+// POST /api/tts — { text, rate } → audio, streamed in the engine's format
+export async function handleTts(req, res) {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  let engine;
+  try {
+    engine = getTtsEngine();
+  } catch (err) {
+    return res.status(503).json({ error: err.message }); // e.g. an unknown TTS_ENGINE
+  }
+  if (!engine) return res.status(503).json({ error: 'Text-to-speech is not configured (set TTS_ENGINE)' });
+
+  const { text, rate } = req.body || {};
+  if (typeof text !== 'string' || !text.trim()) return res.status(400).json({ error: 'No text provided' });
+  if (text.length > MAX_TTS_CHARS) return res.status(400).json({ error: `Text is longer than ${MAX_TTS_CHARS} characters` });
+  const speed = Number.isFinite(Number(rate)) ? Math.min(SPEED.max, Math.max(SPEED.min, Number(rate))) : 1;
+
+  const signal = abortOnClose(res);
+  try {
+    for await (const chunk of engine.synthesize({ text: text.trim(), speed, signal })) {
+      if (!res.headersSent) {
+        res.setHeader('Content-Type', engine.contentType);
+        res.setHeader('Cache-Control', 'no-store');
+      }
+      res.write(chunk);
+    }
+    res.end();
+  } catch (err) {
+    if (signal.aborted) return;
+    console.error('[TTS Error]', err.message);
+    if (!res.headersSent) res.status(500).json({ error: err.message });
+    else res.destroy(err); // a truncated clip must not decode as a complete one
+  }
+}
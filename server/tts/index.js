@@ -0,0 +1,40 @@
+import { createOpenAITtsEngine } from './openai.js';
+import { createToneTtsEngine } from './tone.js';
+import { meteredTts } from '../usage.js';
+
+// Text-to-speech engine for /api/tts, selected by TTS_ENGINE:
+//   openai — OpenAI speech (OPENAI_API_KEY; TTS_MODEL, TTS_VOICE)
+//   tone   — offline beeps, one per word, for tests and demos
+//   none   — the default: /api/tts answers 503 and clients use the browser voice
+// An engine is { name, model, contentType, synthesize({ text, speed, signal }) },
+// synthesize being an async generator of audio Buffers.
+export function createTtsEngine(env = process.env) {
+  const name = (env.TTS_ENGINE || 'none').toLowerCase();
+
+  switch (name) {
+    case 'openai':
+      return createOpenAITtsEngine({
+        apiKey: env.OPENAI_API_KEY,
+        model: env.TTS_MODEL || undefined,
+        voice: env.TTS_VOICE || undefined
+      });
+    case 'tone':
+      return createToneTtsEngine();
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown TTS_ENGINE "${name}" (expected openai, tone or none)`);
+  }
+}
+
+let engine;
+
+// Shared engine instance (null when disabled), created on first use. Its
+// estimated usage counts against the current user's quota (usage.js).
+export function getTtsEngine() {
+  if (engine === undefined) {
+    const created = createTtsEngine();
+    engine = created && meteredTts(created);
+  }
+  return engine;
+}
@@ -0,0 +1,22 @@
+import OpenAI from 'openai';
+
+// OpenAI speech endpoint — MP3 streamed back as it is generated, so the client
+// can start decoding before the whole sentence is synthesized
+export function createOpenAITtsEngine({ apiKey, baseURL, model = 'gpt-4o-mini-tts', voice = 'alloy' }) {
+  const client = new OpenAI({ apiKey, baseURL });
+
+  return {
+    name: 'openai',
+    model,
+    contentType: 'audio/mpeg',
+
+    // Yields Buffers of MP3 audio. `speed` 0.25-4; aborting `signal` cancels the request.
+    async *synthesize({ text, speed = 1, signal }) {
+      const res = await client.audio.speech.create(
+        { model, voice, input: text, response_format: 'mp3', speed },
+        { signal }
+      );
+      for await (const chunk of res.body) yield Buffer.from(chunk);
+    }
+  };
+}
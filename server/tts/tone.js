@@ -0,0 +1,55 @@
+// Deterministic offline engine for tests and demos — no network, no key. Each
+// word becomes a short beep (pitch from its length) followed by a pause, as a
+// 16-bit mono WAV streamed one word at a time, like a real engine's chunks.
+
+const SAMPLE_RATE = 16000;
+const WORD_MS = 140;
+const GAP_MS = 60;
+
+function wavHeader(dataBytes) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);              // fmt chunk size
+  header.writeUInt16LE(1, 20);               // PCM
+  header.writeUInt16LE(1, 22);               // mono
+  header.writeUInt32LE(SAMPLE_RATE, 24);
+  header.writeUInt32LE(SAMPLE_RATE * 2, 28); // byte rate
+  header.writeUInt16LE(2, 32);               // block align
+  header.writeUInt16LE(16, 34);              // bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(dataBytes, 40);
+  return header;
+}
+
+function wordSamples(word, speed) {
+  const tone = Math.round(SAMPLE_RATE * WORD_MS / 1000 / speed);
+  const gap = Math.round(SAMPLE_RATE * GAP_MS / 1000 / speed);
+  const freq = 300 + Math.min(word.length, 12) * 40;
+  const chunk = Buffer.alloc((tone + gap) * 2);
+  for (let i = 0; i < tone; i++) {
+    const fade = Math.min(1, i / 80, (tone - i) / 80); // no clicks at the edges
+    chunk.writeInt16LE(Math.round(Math.sin(2 * Math.PI * freq * i / SAMPLE_RATE) * 6000 * fade), i * 2);
+  }
+  return chunk;
+}
+
+export function createToneTtsEngine() {
+  return {
+    name: 'tone',
+    model: 'tone-1',
+    contentType: 'audio/wav',
+
+    async *synthesize({ text, speed = 1, signal }) {
+      const words = text.split(/\s+/).filter(Boolean);
+      const chunks = words.map(word => wordSamples(word, speed));
+      yield wavHeader(chunks.reduce((total, chunk) => total + chunk.length, 0));
+      for (const chunk of chunks) {
+        if (signal?.aborted) return;
+        yield chunk;
+      }
+    }
+  };
+}
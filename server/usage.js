@@ -0,0 +1,253 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { createJsonlStore } from './store.js';
+import { identify } from './auth.js';
+
+// Per-user rate limits and daily quotas, so a leaked URL can't run up the model
+// bill. Every /api request counts towards RATE_LIMIT_PER_MINUTE; routes that
+// call a model or a speech engine also check DAILY_TOKEN_QUOTA and, for turns
+// with an image, DAILY_FRAME_QUOTA (0 turns a limit off). Token usage is
+// recorded from the provider's usage report — estimated when it sends none, and
+// for speech — and attributed to the user whose request is running. Days are UTC.
+
+const envLimit = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+};
+
+let limits = null;
+
+// Read on first use — server/index.js loads .env after the imports have run
+export function getLimits() {
+  limits ||= {
+    perMinute: envLimit('RATE_LIMIT_PER_MINUTE', 120),
+    dailyTokens: envLimit('DAILY_TOKEN_QUOTA', 200000),
+    dailyFrames: envLimit('DAILY_FRAME_QUOTA', 3000)
+  };
+  return limits;
+}
+
+const MESSAGES = {
+  unauthorized: 'Missing or invalid API key',
+  rate_limited: 'Too many requests — slow down',
+  quota_tokens: 'Daily usage limit reached',
+  quota_frames: 'Daily frame limit reached'
+};
+
+// ─── Request context ─────────────────────────────────────────────────────────
+
+const requestUser = new AsyncLocalStorage();
+
+// Run `fn` (and everything it awaits) on behalf of `user`
+export function runAsUser(user, fn) {
+  return requestUser.run(user, fn);
+}
+
+export function currentUser() {
+  return requestUser.getStore() || null;
+}
+
+// ─── Usage counters ──────────────────────────────────────────────────────────
+
+const store = createJsonlStore('usage.jsonl');
+let totals = null; // `${user} ${day}` → { tokens, frames }
+let loading = null;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+function secondsUntilTomorrow(now = new Date()) {
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+function load() {
+  loading ||= store.all().then(entries => {
+    totals = new Map();
+    for (const { user, day, tokens = 0, frames = 0 } of entries) add(user, day, { tokens, frames });
+    return totals;
+  });
+  return loading;
+}
+
+function add(user, day, { tokens, frames }) {
+  const key = `${user} ${day}`;
+  const total = totals.get(key) || { tokens: 0, frames: 0 };
+  totals.set(key, { tokens: total.tokens + tokens, frames: total.frames + frames });
+}
+
+export async function usageToday(user) {
+  return (await load()).get(`${user} ${today()}`) || { tokens: 0, frames: 0 };
+}
+
+export async function recordUsage(user, { tokens = 0, frames = 0 }) {
+  if (!user || (!tokens && !frames)) return;
+  const day = today();
+  await load();
+  add(user, day, { tokens, frames });
+  await store.append({ user, day, tokens, frames, at: new Date().toISOString() });
+}
+
+// ─── Limits ──────────────────────────────────────────────────────────────────
+
+const windows = new Map(); // user → { start, count } for the current minute
+
+// Count one request; returns seconds to wait if the user is over the limit
+function takeRequest(user, now = Date.now()) {
+  const { perMinute } = getLimits();
+  if (!perMinute) return 0;
+  let window = windows.get(user);
+  if (!window || now - window.start >= 60000) {
+    if (windows.size > 10000) windows.clear(); // forget idle users
+    window = { start: now, count: 0 };
+    windows.set(user, window);
+  }
+  if (++window.count <= perMinute) return 0;
+  return Math.ceil((window.start + 60000 - now) / 1000);
+}
+
+const limitError = (code, status, retryAfter) => ({ code, status, error: MESSAGES[code], retryAfter });
+
+export function checkRate(user) {
+  const retryAfter = takeRequest(user);
+  return retryAfter ? limitError('rate_limited', 429, retryAfter) : null;
+}
+
+// Null if `user` may make another model call (and, with `frame`, send the model
+// another image), else the { code, status, error, retryAfter } to send
+export async function checkQuota(user, { frame = false } = {}) {
+  const { dailyTokens, dailyFrames } = getLimits();
+  const used = await usageToday(user);
+  if (dailyTokens && used.tokens >= dailyTokens) {
+    return limitError('quota_tokens', 429, secondsUntilTomorrow());
+  }
+  if (frame && dailyFrames && used.frames >= dailyFrames) {
+    return limitError('quota_frames', 429, secondsUntilTomorrow());
+  }
+  return null;
+}
+
+function sendLimit(res, { code, status, error, retryAfter }) {
+  if (retryAfter) res.setHeader('Retry-After', String(retryAfter));
+  res.status(status).json({ error, code, retryAfter });
+}
+
+// ─── Middleware ──────────────────────────────────────────────────────────────
+
+// Every /api route: who is calling, and not too often. The rest of the request
+// runs as that user, so model usage is counted against them.
+export function authenticate(req, res, next) {
+  const user = identify(req);
+  if (!user) return sendLimit(res, limitError('unauthorized', 401));
+  const limited = checkRate(user);
+  if (limited) return sendLimit(res, limited);
+  req.user = user;
+  runAsUser(user, next);
+}
+
+// Routes that call a model (or a paid speech engine): refuse once today's quota
+// is used up. Any request carrying an image needs frame quota too; the frame is
+// only counted once it reaches the model (recordFrame).
+export async function requireQuota(req, res, next) {
+  try {
+    const limited = await checkQuota(req.user, { frame: Boolean(req.body?.image) });
+    if (limited) return sendLimit(res, limited);
+    next();
+  } catch (err) {
+    console.error('[Quota Error]', err.message);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// The same checks for a Vercel handler (api/), which has no middleware chain
+export function protect(handler, { metered = false } = {}) {
+  return (req, res) => authenticate(req, res, () => (
+    metered ? requireQuota(req, res, () => handler(req, res)) : handler(req, res)
+  ));
+}
+
+// ─── Metering ────────────────────────────────────────────────────────────────
+
+const CHARS_PER_TOKEN = 4;
+const IMAGE_TOKENS = 765; // a high-detail 1280×720 frame
+
+function estimateTokens(messages, outputChars) {
+  let chars = outputChars;
+  let images = 0;
+  for (const { content } of messages) {
+    if (typeof content === 'string') chars += content.length;
+    else for (const part of content || []) {
+      if (part.type === 'text') chars += part.text.length;
+      else images++;
+    }
+  }
+  return Math.ceil(chars / CHARS_PER_TOKEN) + images * IMAGE_TOKENS;
+}
+
+const record = (usage) => recordUsage(currentUser(), usage)
+  .catch(err => console.warn('[Usage] Could not record:', err.message));
+
+// Count an image against the current user's frame quota, as it is sent to the
+// model — runChat calls this after its duplicate check, so skipped frames are free
+export const recordFrame = () => record({ frames: 1 });
+
+// Wrap a provider so every model call's tokens are recorded for the current user.
+// Providers yield { usage } when the API reports it; it isn't passed on.
+export function metered(provider) {
+  return {
+    ...provider,
+    async *streamChat(params) {
+      let usage = null;
+      let outputChars = 0;
+      try {
+        for await (const delta of provider.streamChat(params)) {
+          if (delta.usage) {
+            usage = delta.usage;
+            continue;
+          }
+          outputChars += delta.content?.length || 0;
+          for (const tc of delta.tool_calls || []) outputChars += tc.function?.arguments?.length || 0;
+          yield delta;
+        }
+      } finally {
+        record({ tokens: usage?.total_tokens ?? estimateTokens(params.messages, outputChars) });
+      }
+    }
+  };
+}
+
+// Speech engines report no token counts, so they are charged in estimated
+// tokens: the text's, plus audio by duration — roughly what OpenAI's audio
+// models bill (about 10 tokens per second heard, 20 per second spoken).
+const WORDS_PER_SECOND = 2.5;          // speech at rate 1
+const AUDIO_IN_TOKENS_PER_SECOND = 10;
+const AUDIO_OUT_TOKENS_PER_SECOND = 20;
+const BYTES_PER_SECOND = { 'audio/wav': 32000, default: 4000 }; // 16 kHz PCM; ~32 kbps Opus
+
+// Wrap a TTS engine (tts/index.js) so each sentence counts against the quota
+export function meteredTts(engine) {
+  return {
+    ...engine,
+    async *synthesize(params) {
+      try {
+        yield* engine.synthesize(params);
+      } finally {
+        const seconds = params.text.split(/\s+/).length / WORDS_PER_SECOND / (params.speed || 1);
+        record({ tokens: Math.ceil(params.text.length / CHARS_PER_TOKEN + seconds * AUDIO_OUT_TOKENS_PER_SECOND) });
+      }
+    }
+  };
+}
+
+// Wrap a recognizer (stt/index.js) so each clip counts against the quota
+export function meteredRecognizer(recognizer) {
+  return {
+    ...recognizer,
+    async transcribe(params) {
+      try {
+        return await recognizer.transcribe(params);
+      } finally {
+        const seconds = params.audio.length / (BYTES_PER_SECOND[params.mimeType] || BYTES_PER_SECOND.default);
+        record({ tokens: Math.ceil(seconds * AUDIO_IN_TOKENS_PER_SECOND) });
+      }
+    }
+  };
+}
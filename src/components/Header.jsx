@@ -4,7 +4,8 @@ import { motion } from 'framer-motion';
 
 export default function Header() {
   const [scrolled, setScrolled] = useState(false);
-  const isDemo = useLocation().pathname === '/demo';
+  const { pathname } = useLocation();
+  const isDemo = pathname === '/demo' || pathname === '/settings';
 
   useEffect(() => {
     const onScroll = () => setScrolled(window.scrollY > 50);
@@ -20,13 +21,18 @@ export default function Header() {
           <span className="header__logo-text">sonar</span>
         </Link>
 
-        {isDemo ? (
-          <Link to="/" className="header__back">← Back</Link>
-        ) : (
-          <motion.div whileHover={{ scale: 1.02 }} whileTap={{ scale: 0.98 }}>
-            <Link to="/demo" className="header__cta">Try Demo</Link>
-          </motion.div>
-        )}
+        <div className="header__links">
+          {pathname !== '/settings' && (
+            <Link to="/settings" className="header__back">Settings</Link>
+          )}
+          {isDemo ? (
+            <Link to="/" className="header__back">← Back</Link>
+          ) : (
+            <motion.div whileHover={{ scale: 1.02 }} whileTap={{ scale: 0.98 }}>
+              <Link to="/demo" className="header__cta">Try Demo</Link>
+            </motion.div>
+          )}
+        </div>
       </nav>
     </header>
   );
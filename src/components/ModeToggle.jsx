@@ -15,6 +15,13 @@ export default function ModeToggle({ mode, onChange }) {
       >
         Streaming
       </button>
+      <button
+        className={`demo__mode-btn ${mode === 'read' ? 'demo__mode-btn--active' : ''}`}
+        onClick={() => onChange('read')}
+        aria-pressed={mode === 'read'}
+      >
+        Read
+      </button>
     </div>
   );
 }
@@ -0,0 +1,48 @@
+import { useState, useRef } from 'react';
+import { speak } from '../lib/speech';
+import { describeObject } from '../lib/sceneObjects';
+
+// The latest structured scene as a list — one Tab stop, arrow keys (or Home/End)
+// move between objects, Enter speaks the selected one
+export default function SceneObjectList({ objects }) {
+  const [active, setActive] = useState(0);
+  const itemsRef = useRef([]);
+
+  if (!objects?.length) return null;
+  const current = Math.min(active, objects.length - 1);
+
+  const focusItem = (i) => {
+    setActive(i);
+    itemsRef.current[i]?.focus();
+  };
+
+  const onKeyDown = (e) => {
+    const last = objects.length - 1;
+    const moves = { ArrowDown: Math.min(current + 1, last), ArrowUp: Math.max(current - 1, 0), Home: 0, End: last };
+    if (e.key in moves) {
+      e.preventDefault();
+      focusItem(moves[e.key]);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      speak(describeObject(objects[current]), { priority: 'answer', interrupt: true });
+    }
+  };
+
+  return (
+    <ul className="scene-objects" aria-label={`${objects.length} objects in the scene`} onKeyDown={onKeyDown}>
+      {objects.map((object, i) => (
+        <li
+          key={`${object.label}-${i}`}
+          ref={el => { itemsRef.current[i] = el; }}
+          className={`scene-objects__item ${object.hazard ? 'scene-objects__item--hazard' : ''}`}
+          tabIndex={i === current ? 0 : -1}
+          onFocus={() => setActive(i)}
+          onClick={() => speak(describeObject(object), { priority: 'answer', interrupt: true })}
+        >
+          <span className="scene-objects__clock" aria-hidden="true">{object.clock_position}</span>
+          <span className="scene-objects__text">{describeObject(object)}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
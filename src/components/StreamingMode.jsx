@@ -1,11 +1,40 @@
 import { useState, useRef, useEffect, useCallback } from 'react';
 import { motion } from 'framer-motion';
-
-// Very short frame prompt — forces one punchy sentence so TTS finishes before scene changes
-const FRAME_PROMPT = 'One sentence only, max 12 words: hazards first, then path, then key objects. Clock positions.';
-const FRAME_MAX_TOKENS = 60;
-
-// Jaccard similarity to detect near-duplicate descriptions
+import { fetchSession } from '../lib/session';
+import { postChat, readSSE, toolStatusText, isAbortError, limitMessage } from '../lib/chatApi';
+import { createStreamChannel } from '../lib/streamSocket';
+import { announceHazard } from '../lib/hazardAlerts';
+import { speak, cancelSpeech, isSpeaking } from '../lib/speech';
+import { getSettings } from '../lib/settings';
+import { t, getLocale, getGrammar } from '../lib/i18n';
+import { matchIntent } from '../lib/intents';
+import { createRecognition } from '../lib/recognition';
+import { logEvent, HISTORY_ACTIONS, handleHistoryKey } from '../lib/eventLog';
+import { frameSignature, frameChange, isSceneChanged, SENSITIVITY } from '../lib/frameDiff';
+import { createFrameScheduler, watchDeviceMotion, requestMotionPermission } from '../lib/frameScheduler';
+import { isOnline, onConnectivityChange, backoffDelay, isNetworkError, offlineReply } from '../lib/connectivity';
+import { sceneObjectsChanged } from '../lib/sceneObjects';
+import SceneObjectList from './SceneObjectList';
+
+// Very short frame prompts — force punchy output so TTS finishes before the scene
+// changes. Length follows the verbosity setting.
+const FRAME_PROMPTS = {
+  terse: { prompt: 'Max 6 words: the most important hazard or object, with clock position.', maxTokens: 30 },
+  normal: { prompt: 'One sentence only, max 12 words: hazards first, then path, then key objects. Clock positions.', maxTokens: 60 },
+  detailed: { prompt: 'Two sentences, max 30 words: hazards first, then path, then key objects and people. Clock positions.', maxTokens: 120 }
+};
+
+// Re-analyze at least this often even when frames look unchanged — catches slow changes
+const MAX_UNCHANGED_MS = 30000;
+const SENSITIVITY_KEY = 'sonar-frame-sensitivity';
+
+const INITIAL_METRICS = {
+  framesProcessed: 0, framesSkipped: 0, newDescriptions: 0, lastChange: null,
+  intervalMs: null, latencyMs: null, moving: false, sessionStart: null
+};
+
+// Jaccard similarity to detect near-duplicate descriptions — the fallback when a
+// frame comes back without an object list
 function wordSimilarity(a, b) {
   if (!a || !b) return 0;
   const setA = new Set(a.toLowerCase().split(/\s+/));
@@ -18,62 +47,55 @@ function wordSimilarity(a, b) {
 export default function StreamingMode() {
   const [isStreaming, setIsStreaming] = useState(false);
   const [voiceMuted, setVoiceMuted] = useState(false);
+  const [framesPaused, setFramesPaused] = useState(false);
   const [sceneMemory, setSceneMemory] = useState(null);
-  const [conversationHistory, setConversationHistory] = useState([]);
+  const [sceneObjects, setSceneObjects] = useState(null);
   const [isListening, setIsListening] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
   const [currentStatus, setCurrentStatus] = useState('Ready');
   const [transcript, setTranscript] = useState('');
   const [lastResponse, setLastResponse] = useState('');
-  const [metrics, setMetrics] = useState({ framesProcessed: 0, newDescriptions: 0, sessionStart: null });
+  const [metrics, setMetrics] = useState(INITIAL_METRICS);
+  const [sensitivity, setSensitivity] = useState(() => localStorage.getItem(SENSITIVITY_KEY) || 'medium');
   const [error, setError] = useState(null);
 
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
   const streamRef = useRef(null);
-  const intervalRef = useRef(null);
+  const frameTimerRef = useRef(null);
+  const schedulerRef = useRef(null);
+  const stopMotionRef = useRef(() => {});
+  const frameFailuresRef = useRef(0); // consecutive failed frames — backs off the frame loop
+  const resumeFramesRef = useRef(null);
+
+  // In-flight requests. A question cancels the frame being analyzed, so a stale
+  // description can't overwrite the answer or newer scene memory.
+  const frameAbortRef = useRef(null);
+  const questionAbortRef = useRef(null);
+  const channelRef = useRef(null); // WebSocket to the server while streaming (streamSocket.js)
 
   // Stable refs — avoid stale closures in async callbacks and wake listener
   const isStreamingRef = useRef(false);
   const lastDescriptionRef = useRef('');
-  const isSpeakingRef = useRef(false);
+  const lastObjectsRef = useRef(null);
   const isProcessingRef = useRef(false);
   const isAnalyzingRef = useRef(false);
   const voiceMutedRef = useRef(false);
+  const framesPausedRef = useRef(false); // no frames are captured or analyzed; questions still work
   const isListeningActiveRef = useRef(false); // true while manual mic is open
 
+  // Frame change detection — signature of the last frame sent for analysis
+  const lastSignatureRef = useRef(null);
+  const lastAnalyzedAtRef = useRef(0);
+  const sensitivityRef = useRef(sensitivity);
+
   // Refs to latest versions of functions — lets wake listener call them without stale closures
   const handleQuestionRef = useRef(null);
   const startWakeListenerRef = useRef(null);
+  const stopStreamingRef = useRef(null);
   const wakeRecRef = useRef(null);
   const wakeRestartTimerRef = useRef(null);
 
-  // ─── TTS helper ──────────────────────────────────────────────────────────────
-
-  const getVoice = useCallback(() => {
-    const voices = window.speechSynthesis.getVoices();
-    const english = voices.filter(v => v.lang.startsWith('en'));
-    return english.find(v =>
-      v.name.includes('Google US') ||
-      v.name.includes('Zira') ||
-      v.name.includes('Samantha')
-    ) || english[0] || voices[0];
-  }, []);
-
-  const speak = useCallback((text, priority = false) => {
-    return new Promise((resolve) => {
-      if (priority) window.speechSynthesis.cancel();
-      const utt = new SpeechSynthesisUtterance(text);
-      utt.rate = 1.0;
-      utt.lang = 'en-US';
-      const v = getVoice();
-      if (v) utt.voice = v;
-      utt.onend = resolve;
-      utt.onerror = resolve;
-      window.speechSynthesis.speak(utt);
-    });
-  }, [getVoice]);
-
   // ─── Camera / frame capture ───────────────────────────────────────────────────
 
   const captureFrameImage = useCallback(() => {
@@ -86,76 +108,102 @@ export default function StreamingMode() {
     return canvas.toDataURL('image/jpeg', 0.5); // low quality = smaller payload
   }, []);
 
-  // ─── SSE collector ────────────────────────────────────────────────────────────
+  // ─── Chat event collector ─────────────────────────────────────────────────────
 
-  const collectSSE = async (res) => {
-    const reader = res.body.getReader();
-    const decoder = new TextDecoder();
+  // `run(onEvent)` streams one turn — over the stream channel, or SSE without one
+  const collectEvents = async (run, { onHazard, onReminder, onStep, onSkipped, onObjects } = {}) => {
     let text = '';
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-      for (const line of decoder.decode(value, { stream: true }).split('\n')) {
-        if (!line.startsWith('data: ')) continue;
-        try {
-          const d = JSON.parse(line.slice(6));
-          if (d.text) text += d.text;
-        } catch {}
-      }
-    }
+    await run((d) => {
+      if (d.hazard) onHazard?.(d);
+      if (d.reminder) onReminder?.(d.reminder);
+      if (d.status) onStep?.(d);
+      if (d.skipped) onSkipped?.();
+      if (d.objects) onObjects?.(d.objects);
+      if (d.text) text += d.text;
+    });
     return text;
   };
 
+  // ─── Pause / resume ───────────────────────────────────────────────────────────
+
+  // Stops (or restarts) the frame loop without ending the session. The server is
+  // told too, so it drops the frame it is analyzing and any that are queued.
+  const setPaused = useCallback((paused) => {
+    if (framesPausedRef.current === paused) return;
+    framesPausedRef.current = paused;
+    setFramesPaused(paused);
+    channelRef.current?.control(paused ? 'pause' : 'resume');
+    if (paused) {
+      frameAbortRef.current?.abort();
+      cancelSpeech('scene');
+      speak(t('paused'), { priority: 'answer', interrupt: true });
+    } else {
+      lastSignatureRef.current = null; // describe the scene afresh
+      speak(t('resumed'), { priority: 'answer', interrupt: true });
+      resumeFramesRef.current?.();
+    }
+  }, []);
+
   // ─── Wake word listener ───────────────────────────────────────────────────────
   // Runs continuously while streaming. Listens for "Hey Sonar [command]".
   // Commands: "turn voice off" / "mute" → silence scene TTS
   //           "turn voice on" / "unmute" → resume scene TTS
+  //           "pause" / "resume" → stop or restart frame analysis
   //           anything else → treated as a question to the AI
 
   const startWakeListener = useCallback(() => {
-    const SR = window.SpeechRecognition || window.webkitSpeechRecognition;
-    if (!SR || !isStreamingRef.current) return;
+    if (!isStreamingRef.current) return;
+    const rec = createRecognition();
+    if (!rec) return;
 
-    const rec = new SR();
     rec.continuous = true;
     rec.interimResults = false;
-    rec.lang = 'en-US';
+    rec.lang = getLocale();
+    const grammar = getGrammar();
 
     rec.onresult = (e) => {
       // Ignore results while TTS is speaking — avoids echo feedback loop
-      if (window.speechSynthesis.speaking) return;
+      if (isSpeaking()) return;
 
       for (let i = e.resultIndex; i < e.results.length; i++) {
         if (!e.results[i].isFinal) continue;
         const text = e.results[i][0].transcript.toLowerCase().trim();
 
         // Must start with wake word
-        if (!/(hey|okay|ok)\s+son[ao]r/i.test(text)) continue;
+        if (!grammar.wake.test(text)) continue;
 
         // Extract the command portion after the wake word
-        const command = text.replace(/(hey|okay|ok)\s+son[ao]r[,.\s]*/i, '').trim();
+        const command = text.replace(grammar.wake, '').trim();
 
         console.log('[Wake] command:', command || '(empty)');
+        const intent = command && matchIntent(command);
 
-        if (/(voice|audio|sound)\s+off|^mute$|be\s+quiet|stop\s+talk/i.test(command)) {
+        if (grammar.mute.test(command)) {
           // Mute scene TTS — question responses still speak
           voiceMutedRef.current = true;
           setVoiceMuted(true);
-          window.speechSynthesis.cancel();
-          isSpeakingRef.current = false;
+          cancelSpeech('scene');
           // Tiny ack before going silent
-          const u = new SpeechSynthesisUtterance('Muted.');
-          if (getVoice()) u.voice = getVoice();
-          window.speechSynthesis.speak(u);
+          speak(t('muted'), { priority: 'answer' });
 
-        } else if (/(voice|audio|sound)\s+on|^unmute$|start\s+talk/i.test(command)) {
+        } else if (grammar.unmute.test(command)) {
           voiceMutedRef.current = false;
           setVoiceMuted(false);
-          speak('Voice on.', true);
+          speak(t('voiceOn'), { priority: 'answer', interrupt: true });
+
+        } else if (grammar.pause.test(command)) {
+          setPaused(true);
+
+        } else if (grammar.resume.test(command)) {
+          setPaused(false);
 
         } else if (!command) {
           // Just "Hey Sonar" with nothing after — acknowledge
-          if (!voiceMutedRef.current) speak('Yes?', true);
+          if (!voiceMutedRef.current) speak(t('wakeAck'), { priority: 'answer', interrupt: true });
+
+        } else if (HISTORY_ACTIONS[intent]) {
+          // "repeat", "back", "next", "when was that" — replayed from the event log
+          HISTORY_ACTIONS[intent]();
 
         } else if (!isProcessingRef.current) {
           // Any other phrase → treat as a question
@@ -182,7 +230,18 @@ export default function StreamingMode() {
 
     wakeRecRef.current = rec;
     try { rec.start(); } catch (e) { console.warn('[Wake start error]', e.message); }
-  }, [speak, getVoice]); // handleQuestion accessed via ref — no stale closure
+  }, []); // handleQuestion accessed via ref — no stale closure
+
+  // Hazards preempt everything in the speech queue, including muted scene narration
+  const onHazard = useCallback((event) => {
+    announceHazard(event);
+  }, []);
+
+  // Due reminders speak even when scene narration is muted
+  const onReminder = useCallback((text) => {
+    logEvent('reminder', text);
+    speak(t('reminder', { text }), { priority: 'answer' });
+  }, []);
 
   const stopWakeListener = useCallback(() => {
     clearTimeout(wakeRestartTimerRef.current);
@@ -200,6 +259,8 @@ export default function StreamingMode() {
   const startStreaming = useCallback(async () => {
     setError(null);
     setCurrentStatus('Connecting...');
+    // iOS only grants motion access from the click itself, before any await
+    const motionAllowed = requestMotionPermission();
 
     try {
       const stream = await navigator.mediaDevices.getUserMedia({
@@ -218,106 +279,223 @@ export default function StreamingMode() {
     isStreamingRef.current = true;
     setIsStreaming(true);
     setCurrentStatus('Streaming...');
-    setMetrics({ framesProcessed: 0, newDescriptions: 0, sessionStart: Date.now() });
-    speak('Streaming started. Say Hey Sonar to ask questions or control voice.', true);
+    setMetrics({ ...INITIAL_METRICS, sessionStart: Date.now() });
+    lastSignatureRef.current = null;
+    speak(t('streamingStarted'), { interrupt: true });
+
+    // Hazards from frames cancelled by a question still arrive, and are still announced
+    const channel = createStreamChannel({
+      onPush: (d) => {
+        if (d.hazard) onHazard(d);
+        if (d.reminder) onReminder(d.reminder);
+      }
+    });
+    channelRef.current = channel;
+    framesPausedRef.current = false;
+    setFramesPaused(false);
+
+    const scheduler = createFrameScheduler();
+    schedulerRef.current = scheduler;
+    if (await motionAllowed) {
+      stopMotionRef.current = watchDeviceMotion((moving) => {
+        scheduler.setMoving(moving);
+        setMetrics(prev => ({ ...prev, moving }));
+      });
+    }
 
-    intervalRef.current = setInterval(async () => {
-      // Only skip if handling a question or already mid-analysis — allow captures while speaking
-      if (isProcessingRef.current || isAnalyzingRef.current) return;
+    const analyzeFrame = async () => {
+      // Only skip if handling a question or already mid-analysis — allow captures while speaking.
+      // While offline, frames wait for the connection to return (see connectivity.js).
+      if (isProcessingRef.current || isAnalyzingRef.current || framesPausedRef.current || !isOnline()) return;
 
       const image = captureFrameImage();
       if (!image) return;
 
+      // Skip the vision call when the frame hasn't meaningfully changed
+      const signature = frameSignature(canvasRef.current);
+      const last = lastSignatureRef.current;
+      if (last) {
+        const change = frameChange(last, signature);
+        const lastChange = Math.round(Math.max(change.hashBits / 64, change.pixelDiff) * 100);
+        const stale = Date.now() - lastAnalyzedAtRef.current > MAX_UNCHANGED_MS;
+        if (!isSceneChanged(change, sensitivityRef.current) && !stale) {
+          scheduler.recordFrame({ changed: false });
+          setMetrics(prev => ({ ...prev, framesSkipped: prev.framesSkipped + 1, lastChange }));
+          return;
+        }
+        setMetrics(prev => ({ ...prev, lastChange }));
+      }
       isAnalyzingRef.current = true;
+      const controller = new AbortController();
+      frameAbortRef.current = controller;
       try {
-        const res = await fetch('/api/chat', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ message: FRAME_PROMPT, image, maxTokens: FRAME_MAX_TOKENS })
-        });
-
-        if (!res.ok) throw new Error(`API error: ${res.status}`);
-        const description = await collectSSE(res);
-        if (!description.trim()) return;
+        // Frames are ephemeral: they feed scene memory but not conversation history.
+        // The hash lets the server skip duplicates too; structured frames come back
+        // with an object list to compare scenes by.
+        const sentAt = performance.now();
+        const frame = FRAME_PROMPTS[getSettings().verbosity];
+        const body = {
+          message: frame.prompt,
+          image,
+          maxTokens: frame.maxTokens,
+          ephemeral: true,
+          structured: true,
+          frameHash: signature.hash
+        };
+        const onSkipped = () => setMetrics(prev => ({ ...prev, framesSkipped: prev.framesSkipped + 1 }));
+        let objects = null;
+        const onObjects = (list) => { objects = list; };
+        const description = await collectEvents(
+          onEvent => channel.frame(body, { signal: controller.signal, onEvent }),
+          { onHazard, onReminder, onSkipped, onObjects }
+        );
+        // Only a completed turn becomes the frame to compare against — after an abort
+        // or error the next frame is measured against the last one actually analyzed
+        lastSignatureRef.current = signature;
+        lastAnalyzedAtRef.current = Date.now();
+        frameFailuresRef.current = 0;
+        if (!description.trim()) {
+          scheduler.recordFrame({ changed: false });
+          return;
+        }
 
+        scheduler.recordLatency(performance.now() - sentAt);
         setMetrics(prev => ({ ...prev, framesProcessed: prev.framesProcessed + 1 }));
 
-        // Skip if scene hasn't changed meaningfully (>75% word overlap)
-        if (wordSimilarity(description, lastDescriptionRef.current) > 0.75) return;
+        // Skip if the scene hasn't changed meaningfully: compare object lists when both
+        // frames have one, else the wording (>75% word overlap)
+        const changed = objects && lastObjectsRef.current
+          ? sceneObjectsChanged(lastObjectsRef.current, objects)
+          : wordSimilarity(description, lastDescriptionRef.current) <= 0.75;
+        if (!changed) {
+          scheduler.recordFrame({ changed: false });
+          return;
+        }
 
+        scheduler.recordFrame({ changed: true });
         lastDescriptionRef.current = description;
+        lastObjectsRef.current = objects;
         setSceneMemory(description);
+        setSceneObjects(objects);
         setLastResponse(description);
+        logEvent('scene', description);
         setMetrics(prev => ({ ...prev, newDescriptions: prev.newDescriptions + 1 }));
 
-        // Cancel stale TTS and speak new scene — unless muted or handling a question
+        // The new scene replaces any stale one; answers and hazards outrank it in the queue
         if (!isProcessingRef.current && !voiceMutedRef.current) {
-          window.speechSynthesis.cancel();
-          isSpeakingRef.current = true;
-          speak(description).then(() => { isSpeakingRef.current = false; });
+          speak(description, { priority: 'scene', interrupt: true });
         }
       } catch (err) {
+        if (isAbortError(err)) return;
+        // Out of quota or not allowed: say so once and stop, instead of retrying every frame
+        if (['unauthorized', 'quota_tokens', 'quota_frames'].includes(err.code)) {
+          stopStreamingRef.current?.();
+          speak(limitMessage(err), { priority: 'answer' });
+          return;
+        }
         console.error('[Frame error]', err.message);
+        frameFailuresRef.current++;
+        scheduler.recordFrame({ changed: false });
       } finally {
         isAnalyzingRef.current = false;
+        if (frameAbortRef.current === controller) frameAbortRef.current = null;
       }
-    }, 2000);
+    };
+
+    // Each frame is scheduled once the previous one has finished
+    const tick = async () => {
+      if (!isStreamingRef.current) return;
+      await analyzeFrame();
+      if (!isStreamingRef.current || schedulerRef.current !== scheduler) return;
+      // Failing frames back off exponentially instead of hammering a struggling backend
+      const intervalMs = Math.max(scheduler.nextDelay(), backoffDelay(frameFailuresRef.current));
+      setMetrics(prev => ({ ...prev, intervalMs, latencyMs: scheduler.stats().latencyMs }));
+      frameTimerRef.current = setTimeout(tick, intervalMs);
+    };
+    frameTimerRef.current = setTimeout(tick, scheduler.nextDelay());
+
+    // When the connection returns, analyze right away instead of waiting out the backoff
+    resumeFramesRef.current = () => {
+      if (isAnalyzingRef.current || schedulerRef.current !== scheduler) return;
+      clearTimeout(frameTimerRef.current);
+      frameTimerRef.current = setTimeout(tick, 0);
+    };
 
     // Start wake listener after TTS intro finishes (~2s delay)
     setTimeout(() => startWakeListenerRef.current?.(), 2000);
-  }, [speak, captureFrameImage]);
+  }, [captureFrameImage, onHazard, onReminder]);
 
   const stopStreaming = useCallback(async () => {
-    window.speechSynthesis.cancel();
+    cancelSpeech();
+    frameAbortRef.current?.abort();
+    questionAbortRef.current?.abort();
+    channelRef.current?.close();
+    channelRef.current = null;
     stopWakeListener();
-    clearInterval(intervalRef.current);
-    intervalRef.current = null;
+    clearTimeout(frameTimerRef.current);
+    frameTimerRef.current = null;
+    schedulerRef.current = null;
+    resumeFramesRef.current = null;
+    frameFailuresRef.current = 0;
+    stopMotionRef.current();
+    stopMotionRef.current = () => {};
     streamRef.current?.getTracks().forEach(t => t.stop());
     streamRef.current = null;
     if (videoRef.current) videoRef.current.srcObject = null;
     isStreamingRef.current = false;
     isAnalyzingRef.current = false;
-    isSpeakingRef.current = false;
     setIsStreaming(false);
     setCurrentStatus('Stopped');
-    speak('Streaming stopped.', true);
-  }, [speak, stopWakeListener]);
+    speak(t('streamingStopped'));
+  }, [stopWakeListener]);
+
+  useEffect(() => { stopStreamingRef.current = stopStreaming; }, [stopStreaming]);
 
   // ─── Voice Q&A ────────────────────────────────────────────────────────────────
 
-  const generateResponse = useCallback(async (userMessage) => {
-    const res = await fetch('/api/chat', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ message: userMessage, sceneContext: sceneMemory, conversationHistory })
-    });
-    if (!res.ok) throw new Error(`API error: ${res.status}`);
-    const text = await collectSSE(res);
-    setConversationHistory(prev => [
-      ...prev.slice(-6),
-      { role: 'user', content: userMessage },
-      { role: 'assistant', content: text }
-    ]);
-    return text;
-  }, [sceneMemory, conversationHistory]);
+  // History and scene memory are held by the server session. While streaming the
+  // question shares the frames' channel, where the server answers it ahead of them.
+  const generateResponse = useCallback(async (userMessage, signal) => {
+    const channel = channelRef.current;
+    const body = { message: userMessage };
+    const onStep = (d) => { if (d.status === 'running') setCurrentStatus(toolStatusText(d.tool)); };
+    return collectEvents(
+      channel
+        ? onEvent => channel.question(body, { signal, onEvent })
+        : async onEvent => readSSE(await postChat(body, { signal }), onEvent),
+      { onHazard, onReminder, onStep }
+    );
+  }, [onHazard, onReminder]);
 
   const handleQuestion = useCallback(async (question) => {
     isProcessingRef.current = true;
     setIsProcessing(true);
-    window.speechSynthesis.cancel();
-    isSpeakingRef.current = false;
+    cancelSpeech('answer'); // hazards already announced keep playing
+    frameAbortRef.current?.abort();
+    questionAbortRef.current?.abort();
+    const controller = new AbortController();
+    questionAbortRef.current = controller;
     try {
-      const response = await generateResponse(question);
+      const response = await generateResponse(question, controller.signal);
       setLastResponse(response);
-      await speak(response, true); // question responses always speak, ignoring voiceMuted
+      logEvent('answer', response);
+      // Question responses always speak, ignoring voiceMuted, and queue behind any hazard
+      await speak(response, { priority: 'answer', interrupt: true });
     } catch (err) {
-      await speak('Sorry, could not answer that.', true);
+      if (isAbortError(err)) return; // superseded by a newer question, or streaming stopped
+      // Offline: answer from the last scene; the question is retried when the connection returns
+      const msg = limitMessage(err) || (isNetworkError(err) ? offlineReply(question) : t('answerFailed'));
+      await speak(msg, { priority: 'answer', interrupt: true });
     } finally {
-      isProcessingRef.current = false;
-      setIsProcessing(false);
-      if (isStreamingRef.current) setCurrentStatus('Streaming...');
+      // Unless a newer question owns the processing state now
+      if (questionAbortRef.current === controller) {
+        questionAbortRef.current = null;
+        isProcessingRef.current = false;
+        setIsProcessing(false);
+        if (isStreamingRef.current) setCurrentStatus('Streaming...');
+      }
     }
-  }, [generateResponse, speak]);
+  }, [generateResponse]);
 
   // Keep handleQuestion ref fresh
   useEffect(() => { handleQuestionRef.current = handleQuestion; }, [handleQuestion]);
@@ -325,8 +503,8 @@ export default function StreamingMode() {
   // ─── Manual mic (button / Space) ─────────────────────────────────────────────
 
   const startListening = useCallback(() => {
-    const SR = window.SpeechRecognition || window.webkitSpeechRecognition;
-    if (!SR) { speak('Speech recognition not supported. Try Chrome.'); return; }
+    const rec = createRecognition();
+    if (!rec) { speak(t('recognitionUnsupported'), { priority: 'answer' }); return; }
 
     // Pause wake listener to avoid two recognition instances conflicting
     isListeningActiveRef.current = true;
@@ -348,10 +526,9 @@ export default function StreamingMode() {
       osc.start(); osc.stop(ctx.currentTime + 0.15);
     } catch (e) {}
 
-    const rec = new SR();
     rec.continuous = true;
     rec.interimResults = true;
-    rec.lang = 'en-US';
+    rec.lang = getLocale();
     const timeout = setTimeout(() => rec.stop(), 10000);
 
     rec.onresult = (e) => {
@@ -370,7 +547,8 @@ export default function StreamingMode() {
       setIsListening(false);
       isListeningActiveRef.current = false;
       setCurrentStatus(isStreamingRef.current ? 'Streaming...' : 'Ready');
-      if (e.error === 'not-allowed') speak('Please allow microphone access.');
+      if (e.error === 'not-allowed') speak(t('micDenied'), { priority: 'answer' });
+      else if (e.error === 'service-not-allowed') speak(t('recognitionUnsupported'), { priority: 'answer' });
       if (isStreamingRef.current) setTimeout(() => startWakeListenerRef.current?.(), 300);
     };
 
@@ -388,7 +566,7 @@ export default function StreamingMode() {
       isListeningActiveRef.current = false;
       setCurrentStatus(isStreamingRef.current ? 'Streaming...' : 'Ready');
     }
-  }, [speak, handleQuestion, stopWakeListener]);
+  }, [handleQuestion, stopWakeListener]);
 
   // ─── Mute toggle (visual button) ─────────────────────────────────────────────
 
@@ -397,31 +575,66 @@ export default function StreamingMode() {
     voiceMutedRef.current = newMuted;
     setVoiceMuted(newMuted);
     if (newMuted) {
-      window.speechSynthesis.cancel();
-      isSpeakingRef.current = false;
+      cancelSpeech('scene');
     } else {
-      speak('Voice on.', true);
+      speak(t('voiceOn'), { priority: 'answer', interrupt: true });
     }
-  }, [speak]);
+  }, []);
+
+  // ─── Frame sensitivity ────────────────────────────────────────────────────────
+
+  const changeSensitivity = useCallback((value) => {
+    sensitivityRef.current = value;
+    setSensitivity(value);
+    localStorage.setItem(SENSITIVITY_KEY, value);
+  }, []);
+
+  // ─── Connectivity ─────────────────────────────────────────────────────────────
+
+  useEffect(() => onConnectivityChange((online) => {
+    if (!isStreamingRef.current) return;
+    setCurrentStatus(online ? 'Streaming...' : 'Offline — waiting for connection');
+    if (online) {
+      frameFailuresRef.current = 0;
+      resumeFramesRef.current?.();
+    }
+  }), []);
 
   // ─── Lifecycle ────────────────────────────────────────────────────────────────
 
+  // Restore the session's latest scene — e.g. after switching from Traditional mode
+  useEffect(() => {
+    fetchSession()
+      .then(session => {
+        if (session?.latestScene) setSceneMemory(session.latestScene);
+        if (session?.latestObjects) setSceneObjects(session.latestObjects);
+      })
+      .catch(err => console.warn('Could not load session:', err.message));
+  }, []);
+
   useEffect(() => {
-    window.speechSynthesis.getVoices();
+    window.speechSynthesis?.getVoices();
     return () => {
-      clearInterval(intervalRef.current);
+      clearTimeout(frameTimerRef.current);
+      frameAbortRef.current?.abort();
+      questionAbortRef.current?.abort();
+      channelRef.current?.close();
+      stopMotionRef.current();
       clearTimeout(wakeRestartTimerRef.current);
       stopWakeListener();
       streamRef.current?.getTracks().forEach(t => t.stop());
-      window.speechSynthesis.cancel();
+      cancelSpeech();
     };
   }, [stopWakeListener]);
 
   useEffect(() => {
     const onKey = (e) => {
-      if (e.code === 'Space' && !isListening && !isProcessing) {
+      if (isListening) return;
+      if (e.code === 'Space' && !isProcessing) {
         e.preventDefault();
         startListening();
+      } else {
+        handleHistoryKey(e);
       }
     };
     window.addEventListener('keydown', onKey);
@@ -433,6 +646,8 @@ export default function StreamingMode() {
   const statusVariant = isListening ? 'listening' : isProcessing ? 'processing' : isStreaming ? 'streaming' : 'ready';
   const efficiencyPct = metrics.framesProcessed > 0
     ? Math.round((metrics.newDescriptions / metrics.framesProcessed) * 100) : 0;
+  const framesCaptured = metrics.framesProcessed + metrics.framesSkipped;
+  const savedPct = framesCaptured > 0 ? Math.round((metrics.framesSkipped / framesCaptured) * 100) : 0;
 
   return (
     <div className="demo">
@@ -445,7 +660,7 @@ export default function StreamingMode() {
           <video ref={videoRef} autoPlay playsInline muted className="demo__video" />
           <div className="demo__camera-label">
             <span className={`demo__camera-dot ${!isStreaming ? 'demo__camera-dot--off' : ''}`} />
-            {isStreaming ? (voiceMuted ? 'STREAMING (MUTED)' : 'STREAMING') : 'OFFLINE'}
+            {isStreaming ? (framesPaused ? 'PAUSED' : voiceMuted ? 'STREAMING (MUTED)' : 'STREAMING') : 'OFFLINE'}
           </div>
         </motion.div>
 
@@ -490,6 +705,24 @@ export default function StreamingMode() {
           </motion.button>
         )}
 
+        {/* Pause toggle — stops frame analysis; questions still work */}
+        {isStreaming && (
+          <motion.button
+            onClick={() => setPaused(!framesPausedRef.current)}
+            aria-label={framesPaused ? 'Resume scene descriptions' : 'Pause scene descriptions'}
+            whileTap={{ scale: 0.95 }}
+            style={{
+              display: 'flex', alignItems: 'center', gap: '0.5rem',
+              padding: '0.5rem 1.2rem', borderRadius: '999px', border: 'none',
+              background: framesPaused ? '#ff9800' : '#333', color: '#fff',
+              cursor: 'pointer', fontSize: '0.9rem', margin: '0.5rem auto'
+            }}
+          >
+            <span>{framesPaused ? '▶' : '⏸'}</span>
+            <span>{framesPaused ? 'Resume' : 'Pause'}</span>
+          </motion.button>
+        )}
+
         {/* Manual mic button — shown while streaming */}
         {isStreaming && (
           <motion.button
@@ -534,6 +767,7 @@ export default function StreamingMode() {
               {isStreaming ? 'Waiting for first scene...' : 'Start streaming to build scene memory.'}
             </p>
           )}
+          <SceneObjectList objects={sceneObjects} />
         </div>
 
         {metrics.sessionStart && (
@@ -552,7 +786,43 @@ export default function StreamingMode() {
                 <span className="demo__metric-value">{efficiencyPct}%</span>
                 <span className="demo__metric-label">Scene change rate</span>
               </div>
+              <div className="demo__metric">
+                <span className="demo__metric-value">{metrics.framesSkipped}</span>
+                <span className="demo__metric-label">Frames skipped</span>
+              </div>
+              <div className="demo__metric">
+                <span className="demo__metric-value">{savedPct}%</span>
+                <span className="demo__metric-label">API calls saved</span>
+              </div>
+              <div className="demo__metric">
+                <span className="demo__metric-value">{metrics.lastChange == null ? '–' : `${metrics.lastChange}%`}</span>
+                <span className="demo__metric-label">Last frame change</span>
+              </div>
+              <div className="demo__metric">
+                <span className="demo__metric-value">
+                  {metrics.intervalMs ? `${Math.round(60000 / metrics.intervalMs)}/min` : '–'}
+                </span>
+                <span className="demo__metric-label">
+                  Frame rate{metrics.intervalMs ? ` (every ${(metrics.intervalMs / 1000).toFixed(1)}s)` : ''}{metrics.moving ? ' · moving' : ''}
+                </span>
+              </div>
+              <div className="demo__metric">
+                <span className="demo__metric-value">{metrics.latencyMs == null ? '–' : `${metrics.latencyMs}ms`}</span>
+                <span className="demo__metric-label">Round-trip latency</span>
+              </div>
             </div>
+            <label className="demo__sensitivity">
+              <span className="demo__sensitivity-label">Change sensitivity</span>
+              <select
+                className="demo__sensitivity-select"
+                value={sensitivity}
+                onChange={(e) => changeSensitivity(e.target.value)}
+              >
+                {Object.keys(SENSITIVITY).map(level => (
+                  <option key={level} value={level}>{level[0].toUpperCase() + level.slice(1)}</option>
+                ))}
+              </select>
+            </label>
           </div>
         )}
 
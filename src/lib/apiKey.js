@@ -0,0 +1,32 @@
+// Access key for servers that require one (API_KEYS on the server). Entered on
+// the Settings page, or provisioned by opening the app once with ?key=… — e.g.
+// from a QR code when setting up glasses. Kept in localStorage and sent with
+// every API request.
+
+const KEY_STORAGE = 'sonar-api-key';
+
+export function getApiKey() {
+  return localStorage.getItem(KEY_STORAGE) || '';
+}
+
+export function setApiKey(key) {
+  const clean = key.trim();
+  if (clean) localStorage.setItem(KEY_STORAGE, clean);
+  else localStorage.removeItem(KEY_STORAGE);
+}
+
+// `headers` plus the Authorization header when a key is set
+export function authHeaders(headers = {}) {
+  const key = getApiKey();
+  return key ? { ...headers, Authorization: `Bearer ${key}` } : headers;
+}
+
+// Store a ?key=… from the address bar and remove it, so it doesn't linger in history
+export function takeKeyFromUrl() {
+  const url = new URL(window.location.href);
+  const key = url.searchParams.get('key');
+  if (!key) return;
+  setApiKey(key);
+  url.searchParams.delete('key');
+  window.history.replaceState(window.history.state, '', url);
+}
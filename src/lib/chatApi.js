@@ -0,0 +1,127 @@
+import { getSessionId, resetSession } from './session';
+import { getLastLocation } from './location';
+import { getSettings } from './settings';
+import { trackedFetch, probe } from './connectivity';
+import { authHeaders } from './apiKey';
+import { t } from './i18n';
+
+// POST /api/chat within the current session, with the user's language and verbosity settings.
+// If the server no longer knows the session (restart, new deploy) a fresh one is
+// created and the request retried once. Aborting `signal` cancels the request and
+// its stream, and the server stops generating.
+export async function postChat(body, { signal } = {}) {
+  const send = async () => trackedFetch('/api/chat', {
+    method: 'POST',
+    signal,
+    headers: authHeaders({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify({
+      language: getSettings().language,
+      verbosity: getSettings().verbosity,
+      ...body,
+      sessionId: await getSessionId(),
+      location: getLastLocation()
+    })
+  });
+
+  let res = await send();
+  if (res.status === 404) {
+    resetSession();
+    res = await send();
+  }
+  if (!res.ok) throw await apiError(res);
+  return res;
+}
+
+// POST /api/read — verbatim transcription of an image (Read mode)
+export async function postRead(image, { signal } = {}) {
+  const res = await trackedFetch('/api/read', {
+    method: 'POST',
+    signal,
+    headers: authHeaders({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify({ image })
+  });
+  if (!res.ok) throw await apiError(res);
+  return res;
+}
+
+// Error for a failed API response, carrying the server's `code` (unauthorized,
+// rate_limited, quota_tokens, quota_frames) and `retryAfter` when it sent them
+export async function apiError(res) {
+  const body = await res.json().catch(() => ({}));
+  return Object.assign(new Error(`API error: ${res.status}`), {
+    status: res.status,
+    code: body.code,
+    retryAfter: body.retryAfter
+  });
+}
+
+const LIMIT_MESSAGES = {
+  unauthorized: 'unauthorized',
+  rate_limited: 'rateLimited',
+  quota_tokens: 'quotaTokens',
+  quota_frames: 'quotaFrames'
+};
+
+// What to tell the user when the server refused a request (missing key, rate
+// limit, daily quota), or null for any other error
+export function limitMessage(err) {
+  const phrase = LIMIT_MESSAGES[err?.code];
+  return phrase ? t(phrase) : null;
+}
+
+// Error for an { error } event — the server had already answered 200 when the
+// model failed, so this is the stream's equivalent of a 5xx response
+export function streamError(event) {
+  return Object.assign(new Error(`API error: ${event.error}`), {
+    status: event.status || 500,
+    code: event.code,
+    retryAfter: event.retryAfter
+  });
+}
+
+// Call onEvent for each `data:` event of an SSE response. Lines split across
+// chunks are joined first, so long verbatim text is never dropped. Rejects on
+// an { error } event, like a failed response, and checks the connection.
+export async function readSSE(res, onEvent) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (!line.startsWith('data: ')) continue;
+      let event;
+      try { event = JSON.parse(line.slice(6)); } catch { continue; }
+      if (event.error) {
+        reader.cancel().catch(() => {});
+        probe();
+        throw streamError(event);
+      }
+      onEvent(event);
+    }
+  }
+}
+
+const TOOL_STATUS = {
+  flag_hazard: 'Flagging hazard...',
+  recall_memory: 'Checking memory...',
+  read_text: 'Reading text...',
+  identify_currency: 'Checking currency...',
+  describe_person_position: 'Locating people...',
+  set_reminder: 'Setting reminder...',
+  describe_scene: 'Mapping the scene...'
+};
+
+// Status line for a { step, tool, status: 'running' } progress event
+export function toolStatusText(tool) {
+  return TOOL_STATUS[tool] || 'Working...';
+}
+
+// fetch() and stream reads reject with an AbortError once their signal aborts
+export function isAbortError(err) {
+  return err?.name === 'AbortError';
+}
@@ -0,0 +1,126 @@
+import { speak } from './speech';
+import { t } from './i18n';
+import { getEvents, timeAgo } from './eventLog';
+
+// Backend reachability, shared by both modes. Two signals:
+//   - requests made through trackedFetch: a network error or 5xx triggers an
+//     immediate /api/health probe (a 500 from the model alone isn't an outage)
+//   - periodic /api/health probes: every PROBE_MS while online, with exponential
+//     backoff while offline
+// Going offline or coming back is announced once. Questions asked while offline
+// are queued here and retried by Demo when the connection returns.
+
+const PROBE_MS = 15000;
+const PROBE_TIMEOUT_MS = 4000;
+const BACKOFF_MIN_MS = 2000;
+const BACKOFF_MAX_MS = 30000;
+const MAX_QUEUED = 5;
+
+let online = true;
+let failures = 0;      // consecutive failed probes
+let probeTimer = null;
+let probing = null;
+let watchers = 0;
+const listeners = new Set();
+let queue = [];
+
+// Exponential backoff: 2s, 4s, 8s ... capped at 30s, for `n` consecutive failures
+export function backoffDelay(n) {
+  return n > 0 ? Math.min(BACKOFF_MIN_MS * 2 ** (n - 1), BACKOFF_MAX_MS) : 0;
+}
+
+export function isOnline() {
+  return online;
+}
+
+// Calls listener(online) on every change. Returns an unsubscribe function.
+export function onConnectivityChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function setOnline(value) {
+  if (value === online) return;
+  online = value;
+  console.warn(`[Connectivity] ${online ? 'restored' : 'lost'}`);
+  speak(t(online ? 'connectionRestored' : 'connectionLost'), { priority: 'answer', interrupt: true });
+  listeners.forEach(listener => listener(online));
+}
+
+function schedule() {
+  clearTimeout(probeTimer);
+  if (watchers > 0) probeTimer = setTimeout(probe, online ? PROBE_MS : backoffDelay(failures));
+}
+
+// GET /api/health; resolves to whether the backend answered
+export function probe() {
+  if (probing) return probing;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), PROBE_TIMEOUT_MS);
+  probing = fetch('/api/health', { cache: 'no-store', signal: controller.signal })
+    .then(res => res.ok, () => false)
+    .then(ok => {
+      failures = ok ? 0 : failures + 1;
+      setOnline(ok);
+      return ok;
+    })
+    .finally(() => {
+      clearTimeout(timer);
+      probing = null;
+      schedule();
+    });
+  return probing;
+}
+
+// Start periodic probes (and answer the browser's own online/offline events).
+// Returns a stop function; probes run while anyone is watching.
+export function watchConnectivity() {
+  const onBrowserChange = () => probe();
+  window.addEventListener('online', onBrowserChange);
+  window.addEventListener('offline', onBrowserChange);
+  if (++watchers === 1) schedule();
+  return () => {
+    window.removeEventListener('online', onBrowserChange);
+    window.removeEventListener('offline', onBrowserChange);
+    if (--watchers === 0) clearTimeout(probeTimer);
+  };
+}
+
+// fetch() that reports failures to the monitor. Aborted requests don't count.
+export async function trackedFetch(url, options) {
+  try {
+    const res = await fetch(url, options);
+    if (res.status >= 500 || !online) probe();
+    return res;
+  } catch (err) {
+    if (err.name !== 'AbortError') probe();
+    throw err;
+  }
+}
+
+// fetch() rejects with a TypeError when the server can't be reached at all
+export function isNetworkError(err) {
+  return err instanceof TypeError || !online;
+}
+
+// ─── Offline questions ───────────────────────────────────────────────────────
+
+export function queueQuestion(text) {
+  queue = [...queue, { text, at: Date.now() }].slice(-MAX_QUEUED);
+}
+
+// Remove and return the queued questions, oldest first
+export function takeQueuedQuestions() {
+  const taken = queue;
+  queue = [];
+  return taken;
+}
+
+// What to say to a question that can't reach the server: the last scene or
+// answer from the event log, if any. The question is queued unless `queue` is false.
+export function offlineReply(question, { queue: shouldQueue = true } = {}) {
+  if (shouldQueue) queueQuestion(question);
+  const last = [...getEvents()].reverse().find(e => e.kind === 'scene' || e.kind === 'answer');
+  const lead = t(shouldQueue ? 'offlineQueued' : 'offline');
+  return last ? `${lead} ${t('offlineMemory', { ago: timeAgo(last.at), text: last.text })}` : lead;
+}
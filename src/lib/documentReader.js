@@ -0,0 +1,75 @@
+import { speak } from './speech';
+import { t } from './i18n';
+
+// Paging through text transcribed in Read mode (/api/read). The text is split
+// into paragraphs on blank lines as it streams in; the user moves through it by
+// voice or keyboard and can have a line spelled out letter by letter.
+
+const SYMBOLS = { '.': 'symbolDot', '-': 'symbolDash', '/': 'symbolSlash', '%': 'symbolPercent' };
+const SPELL_WORDS = 8; // "spell that" spells this many words of the paragraph
+const DEMONSTRATIVES = ['that', 'this', 'eso', 'esto', 'ça', 'cela', 'यह', 'वह'];
+
+export function splitParagraphs(text) {
+  return text.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+}
+
+// "500mg" → "5, 0, 0, M, G"; spaces and the symbols that matter in dosages are named
+export function spellOut(text) {
+  return [...text.trim()]
+    .map(ch => (/\s/.test(ch) ? t('space') : SYMBOLS[ch] ? t(SYMBOLS[ch]) : /[\p{L}\p{N}]/u.test(ch) ? ch.toUpperCase() : null))
+    .filter(Boolean)
+    .join(', ');
+}
+
+function say(text) {
+  return speak(text, { priority: 'answer', interrupt: true });
+}
+
+export function createDocumentReader() {
+  let paragraphs = [];
+  let index = 0;
+
+  return {
+    // Update the text — called repeatedly while the transcription streams in
+    setText(text) {
+      paragraphs = splitParagraphs(text);
+      index = Math.min(index, Math.max(paragraphs.length - 1, 0));
+    },
+
+    reset() {
+      paragraphs = [];
+      index = 0;
+    },
+
+    get count() { return paragraphs.length; },
+    get index() { return index; },
+    get paragraphs() { return paragraphs; },
+
+    speakCurrent() {
+      return say(paragraphs[index] ?? t('nothingToRead'));
+    },
+
+    // direction: -1 previous, +1 next; announces "Paragraph 2 of 5." before the text
+    step(direction) {
+      if (!paragraphs.length) return say(t('nothingToRead'));
+      const next = index + direction;
+      if (next < 0) return say(t('startOfText'));
+      if (next >= paragraphs.length) return say(t('endOfText'));
+      index = next;
+      return say(`${t('paragraph', { n: index + 1, total: paragraphs.length })} ${paragraphs[index]}`);
+    },
+
+    // Spell the word of the current paragraph that `heard` sounds like (same first
+    // three letters — recognition rarely gets drug names right), or for "spell that"
+    // and unmatched words, the opening words of the paragraph
+    spell(heard = '') {
+      const paragraph = paragraphs[index];
+      if (!paragraph) return say(t('nothingToRead'));
+      const words = paragraph.split(/\s+/);
+      const wanted = heard.trim().toLowerCase();
+      const match = wanted.length >= 3 && !DEMONSTRATIVES.includes(wanted)
+        && words.find(w => w.toLowerCase().startsWith(wanted.slice(0, 3)));
+      return say(spellOut(match || words.slice(0, SPELL_WORDS).join(' ')));
+    }
+  };
+}
@@ -0,0 +1,43 @@
+// Short Web Audio cues, distinct per hazard urgency so the user can tell
+// how serious an alert is before the words arrive.
+
+// [frequency Hz, start offset s, duration s]
+const EARCONS = {
+  high:   { type: 'square',   gain: 0.18, tones: [[1100, 0, 0.09], [1100, 0.13, 0.09], [1100, 0.26, 0.09]] },
+  medium: { type: 'triangle', gain: 0.15, tones: [[740, 0, 0.14], [520, 0.17, 0.18]] },
+  low:    { type: 'sine',     gain: 0.12, tones: [[520, 0, 0.22]] }
+};
+
+let ctx = null;
+
+function audioContext() {
+  if (!ctx) ctx = new (window.AudioContext || window.webkitAudioContext)();
+  if (ctx.state === 'suspended') ctx.resume();
+  return ctx;
+}
+
+// Resolves once the earcon has finished playing (immediately if audio is unavailable)
+export function playEarcon(urgency) {
+  const earcon = EARCONS[urgency] || EARCONS.medium;
+  try {
+    const ac = audioContext();
+    let end = 0;
+    for (const [freq, offset, duration] of earcon.tones) {
+      const start = ac.currentTime + offset;
+      const osc = ac.createOscillator();
+      const gain = ac.createGain();
+      osc.type = earcon.type;
+      osc.frequency.value = freq;
+      osc.connect(gain);
+      gain.connect(ac.destination);
+      gain.gain.setValueAtTime(earcon.gain, start);
+      gain.gain.exponentialRampToValueAtTime(0.01, start + duration);
+      osc.start(start);
+      osc.stop(start + duration);
+      end = Math.max(end, offset + duration);
+    }
+    return new Promise(resolve => setTimeout(resolve, end * 1000 + 50));
+  } catch {
+    return Promise.resolve();
+  }
+}
@@ -0,0 +1,106 @@
+import { speak } from './speech';
+import { t } from './i18n';
+
+// What the app has said this session — scene descriptions, answers, hazards
+// and reminders — shared by both modes and kept in localStorage alongside the
+// session id, so "repeat" and back/forward navigation work across reloads and
+// mode switches. Cleared when the session is reset (session.js).
+
+const LOG_KEY = 'sonar-event-log';
+const MAX_EVENTS = 50;
+
+const KIND_LABELS = { scene: 'kindScene', answer: 'kindAnswer', hazard: 'kindHazard', reminder: 'kindReminder' };
+
+let events = load();
+let cursor = null; // index being navigated; null = the latest event
+
+function load() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(LOG_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+}
+
+export function logEvent(kind, text) {
+  const clean = text?.trim();
+  if (!clean || !KIND_LABELS[kind]) return;
+  events = [...events, { kind, text: clean, at: Date.now() }].slice(-MAX_EVENTS);
+  cursor = null;
+  localStorage.setItem(LOG_KEY, JSON.stringify(events));
+}
+
+export function getEvents() {
+  return events;
+}
+
+export function clearEventLog() {
+  events = [];
+  cursor = null;
+  localStorage.removeItem(LOG_KEY);
+}
+
+// Same thresholds as the server's timeAgo (server/memory.js), in the user's language
+export function timeAgo(at, now = Date.now()) {
+  const seconds = Math.round((now - at) / 1000);
+  if (seconds < 60) return t('justNow');
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return minutes === 1 ? t('minuteAgo') : t('minutesAgo', { n: minutes });
+  const hours = Math.round(minutes / 60);
+  return hours === 1 ? t('hourAgo') : t('hoursAgo', { n: hours });
+}
+
+function current() {
+  return events[cursor ?? events.length - 1];
+}
+
+// ─── Spoken navigation ───────────────────────────────────────────────────────
+
+function say(text) {
+  return speak(text, { priority: 'answer', interrupt: true });
+}
+
+// Repeat the event under the cursor (the latest unless the user has stepped back)
+export function repeatEvent() {
+  const event = current();
+  return say(event ? event.text : t('nothingToRepeat'));
+}
+
+// Step back (-1) or forward (+1) through the log, announcing age and kind
+export function stepEvents(direction) {
+  if (!events.length) return say(t('nothingToRepeat'));
+  const index = (cursor ?? events.length - 1) + direction;
+  if (index < 0) return say(t('historyStart'));
+  if (index >= events.length) return say(t('historyEnd'));
+  cursor = index;
+  const event = events[index];
+  return say(t('historyItem', { ago: timeAgo(event.at), kind: t(KIND_LABELS[event.kind]), text: event.text }));
+}
+
+// "When was that?" — the age of the event under the cursor
+export function readEventTime() {
+  const event = current();
+  return say(event ? t('historyWhen', { kind: t(KIND_LABELS[event.kind]), ago: timeAgo(event.at) }) : t('nothingToRepeat'));
+}
+
+// History intents (intents.js) shared by both modes
+export const HISTORY_ACTIONS = {
+  repeat: repeatEvent,
+  previous: () => stepEvents(-1),
+  next: () => stepEvents(1),
+  when: readEventTime
+};
+
+const HISTORY_KEYS = { r: 'repeat', '[': 'previous', ']': 'next', t: 'when' };
+
+// Shared keyboard shortcuts: R repeat, [ back, ] forward, T time.
+// Returns true if the key was handled.
+export function handleHistoryKey(e) {
+  if (e.ctrlKey || e.metaKey || e.altKey || ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return false;
+  const intent = HISTORY_KEYS[e.key.toLowerCase()];
+  if (!intent) return false;
+  e.preventDefault();
+  HISTORY_ACTIONS[intent]();
+  return true;
+}
@@ -0,0 +1,69 @@
+// Cheap scene-change detection on the client, so unchanged frames never reach
+// the vision model. Two signals from tiny grayscale thumbnails of the frame:
+//   - dHash: 64-bit difference hash, robust to lighting and JPEG noise
+//   - mean absolute pixel difference of a 16x12 thumbnail, catches small moving objects
+
+const HASH_W = 9, HASH_H = 8;
+const THUMB_W = 16, THUMB_H = 12;
+
+// Change needed (either signal) to count as a new scene
+export const SENSITIVITY = {
+  low:    { hashBits: 14, pixelDiff: 0.14 },
+  medium: { hashBits: 8,  pixelDiff: 0.08 },
+  high:   { hashBits: 4,  pixelDiff: 0.04 }
+};
+
+let scratch = null;
+
+// Grayscale pixels (0-255) of `source` scaled down to width x height
+export function grayscale(source, width, height) {
+  if (!scratch) scratch = document.createElement('canvas');
+  scratch.width = width;
+  scratch.height = height;
+  const ctx = scratch.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+  const gray = new Uint8Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = (data[i * 4] * 299 + data[i * 4 + 1] * 587 + data[i * 4 + 2] * 114) / 1000;
+  }
+  return gray;
+}
+
+// { hash: 16-char hex dHash, thumb: 16x12 grayscale pixels }
+export function frameSignature(source) {
+  const small = grayscale(source, HASH_W, HASH_H);
+  let hash = '';
+  for (let y = 0; y < HASH_H; y++) {
+    let byte = 0;
+    for (let x = 0; x < HASH_W - 1; x++) {
+      byte = (byte << 1) | (small[y * HASH_W + x] > small[y * HASH_W + x + 1] ? 1 : 0);
+    }
+    hash += byte.toString(16).padStart(2, '0');
+  }
+  return { hash, thumb: grayscale(source, THUMB_W, THUMB_H) };
+}
+
+function hammingDistance(a, b) {
+  let bits = 0;
+  for (let i = 0; i < a.length; i += 2) {
+    let x = parseInt(a.slice(i, i + 2), 16) ^ parseInt(b.slice(i, i + 2), 16);
+    while (x) { bits += x & 1; x >>= 1; }
+  }
+  return bits;
+}
+
+// { hashBits: 0-64, pixelDiff: 0-1 }
+export function frameChange(prev, next) {
+  let total = 0;
+  for (let i = 0; i < next.thumb.length; i++) total += Math.abs(next.thumb[i] - prev.thumb[i]);
+  return {
+    hashBits: hammingDistance(prev.hash, next.hash),
+    pixelDiff: total / next.thumb.length / 255
+  };
+}
+
+export function isSceneChanged(change, sensitivity = 'medium') {
+  const t = SENSITIVITY[sensitivity] || SENSITIVITY.medium;
+  return change.hashBits >= t.hashBits || change.pixelDiff >= t.pixelDiff;
+}
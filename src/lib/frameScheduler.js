@@ -0,0 +1,86 @@
+// Adaptive capture interval for streaming mode. Each frame is scheduled after
+// the previous one finishes (no overlapping or silently dropped ticks), and the
+// delay adapts to what is happening:
+//   - scene changing or user moving → shorter interval
+//   - scene stationary              → gradually longer interval
+//   - round-trip latency climbing   → never schedule faster than the backend answers
+
+const DEFAULTS = {
+  minMs: 1000,
+  maxMs: 6000,
+  initialMs: 2000,
+  movingMs: 1200,      // ceiling while device motion says the user is walking
+  speedUp: 0.7,        // multiplier after a changed frame
+  slowDown: 1.25,      // multiplier after an unchanged frame
+  latencyHeadroom: 1.2 // interval stays at least this multiple of smoothed latency
+};
+
+export function createFrameScheduler(options = {}) {
+  const cfg = { ...DEFAULTS, ...options };
+  let interval = cfg.initialMs;
+  let latency = null;   // exponential moving average, ms
+  let moving = false;
+
+  const clamp = (ms) => Math.min(Math.max(ms, cfg.minMs), cfg.maxMs);
+
+  return {
+    recordFrame({ changed }) {
+      interval = clamp(interval * (changed ? cfg.speedUp : cfg.slowDown));
+    },
+
+    recordLatency(ms) {
+      latency = latency === null ? ms : latency * 0.7 + ms * 0.3;
+    },
+
+    setMoving(value) {
+      moving = value;
+    },
+
+    nextDelay() {
+      let delay = interval;
+      if (moving) delay = Math.min(delay, cfg.movingMs);
+      if (latency !== null) delay = Math.max(delay, latency * cfg.latencyHeadroom);
+      return Math.round(clamp(delay));
+    },
+
+    stats() {
+      return { latencyMs: latency === null ? null : Math.round(latency), moving };
+    }
+  };
+}
+
+// Calls onChange(true/false) when the device starts or stops moving, based on
+// smoothed acceleration from devicemotion. Returns an unsubscribe function.
+// On iOS, call requestMotionPermission() from a user gesture first.
+export function watchDeviceMotion(onChange, { threshold = 1.2 } = {}) {
+  if (typeof window === 'undefined' || !('DeviceMotionEvent' in window)) return () => {};
+
+  let energy = 0;
+  let moving = false;
+
+  const onMotion = (e) => {
+    const a = e.acceleration;
+    if (!a || a.x == null) return;
+    const magnitude = Math.hypot(a.x, a.y, a.z);
+    energy = energy * 0.9 + magnitude * 0.1;
+    // Hysteresis so we don't flap around the threshold
+    const next = moving ? energy > threshold * 0.6 : energy > threshold;
+    if (next !== moving) {
+      moving = next;
+      onChange(moving);
+    }
+  };
+
+  window.addEventListener('devicemotion', onMotion);
+  return () => window.removeEventListener('devicemotion', onMotion);
+}
+
+export async function requestMotionPermission() {
+  const request = window.DeviceMotionEvent?.requestPermission;
+  if (typeof request !== 'function') return true;
+  try {
+    return (await request()) === 'granted';
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,118 @@
+import { speak } from './speech';
+import { t } from './i18n';
+import { getSettings } from './settings';
+import { grayscale, frameSignature, frameChange } from './frameDiff';
+import { authHeaders } from './apiKey';
+
+// Framing assistant for Traditional and Read mode captures. Before a live camera
+// frame is sent, check that it's usable and speak a correction until it is:
+//   - too dark / too bright — mean brightness of a thumbnail
+//   - hold still — two thumbnails a moment apart differ
+//   - blurry — variance of the Laplacian (edge strength) is low
+//   - move left / closer / ... — /api/framing asks the model where the target is
+// Each failed check costs one spoken hint and a pause for the user to react; after
+// MAX_ATTEMPTS the frame is taken anyway.
+
+const MEASURE_W = 160, MEASURE_H = 120;
+const MIN_BRIGHTNESS = 0.15, MAX_BRIGHTNESS = 0.9; // mean luma, 0-1
+const MIN_SHARPNESS = 60;   // Laplacian variance at 160x120 — tune on real devices
+const MAX_MOTION = 0.06;    // pixelDiff (frameDiff.js) between two thumbnails MOTION_GAP_MS apart
+const MOTION_GAP_MS = 200;
+const SETTLE_MS = 1200;     // time to act on a hint before checking again
+const MAX_ATTEMPTS = 4;
+const MODEL_TIMEOUT_MS = 4000;
+
+const ADVICE_PHRASES = {
+  left: 'framingLeft',
+  right: 'framingRight',
+  up: 'framingUp',
+  down: 'framingDown',
+  closer: 'framingCloser',
+  farther: 'framingFarther',
+  not_visible: 'framingNotVisible'
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// { brightness: 0-1, sharpness: variance of the Laplacian }
+export function measureFrame(source) {
+  const gray = grayscale(source, MEASURE_W, MEASURE_H);
+  let sum = 0;
+  for (const v of gray) sum += v;
+
+  let lapSum = 0, lapSquares = 0, n = 0;
+  for (let y = 1; y < MEASURE_H - 1; y++) {
+    for (let x = 1; x < MEASURE_W - 1; x++) {
+      const i = y * MEASURE_W + x;
+      const lap = 4 * gray[i] - gray[i - 1] - gray[i + 1] - gray[i - MEASURE_W] - gray[i + MEASURE_W];
+      lapSum += lap;
+      lapSquares += lap * lap;
+      n++;
+    }
+  }
+  const lapMean = lapSum / n;
+  return { brightness: sum / gray.length / 255, sharpness: lapSquares / n - lapMean * lapMean };
+}
+
+// Phrase key for a problem the device can see on its own, or null.
+// Darkness is checked first — a dark frame also looks blurry.
+async function localProblem(source) {
+  const { brightness, sharpness } = measureFrame(source);
+  if (brightness < MIN_BRIGHTNESS) return 'framingDark';
+  if (brightness > MAX_BRIGHTNESS) return 'framingBright';
+  const before = frameSignature(source);
+  await wait(MOTION_GAP_MS);
+  if (frameChange(before, frameSignature(source)).pixelDiff > MAX_MOTION) return 'framingMotion';
+  if (sharpness < MIN_SHARPNESS) return 'framingBlurry';
+  return null;
+}
+
+// Advice from /api/framing, or null if the check is unavailable — framing help
+// must never stop the capture
+async function modelAdvice(image, target) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), MODEL_TIMEOUT_MS);
+  try {
+    const res = await fetch('/api/framing', {
+      method: 'POST',
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ image, target }),
+      signal: controller.signal
+    });
+    if (!res.ok) throw new Error(`API error: ${res.status}`);
+    return (await res.json()).advice;
+  } catch (err) {
+    console.warn('Framing check failed:', err.message);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Capture a usable frame from the live video element `source`.
+//   capture — returns the frame as a JPEG data URL (Demo's captureImage)
+//   target  — what the user wants photographed, for the model check; null skips it
+//   onHint  — called with each spoken hint, e.g. to show it in the status line
+// Resolves to the data URL. Does nothing extra when framing help is off in settings.
+export async function guidedCapture({ source, capture, target = null, onHint }) {
+  if (!getSettings().framing || !source?.videoWidth) return capture();
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    let problem = await localProblem(source);
+    let image = null;
+    if (!problem && target) {
+      image = capture();
+      problem = (image && ADVICE_PHRASES[await modelAdvice(image, target)]) || null;
+    }
+    if (!problem) {
+      if (attempt > 1) speak(t('framingGood'), { interrupt: true });
+      return image || capture();
+    }
+    onHint?.(t(problem));
+    await speak(t(problem), { priority: 'answer', interrupt: true });
+    await wait(SETTLE_MS);
+  }
+
+  speak(t('framingGiveUp'), { interrupt: true });
+  return capture();
+}
@@ -0,0 +1,20 @@
+import { playEarcon } from './earcons';
+import { speak } from './speech';
+import { t } from './i18n';
+import { logEvent } from './eventLog';
+
+// Hazard alerts go through the speech queue at the highest priority: they cut
+// off whatever is speaking, play the urgency earcon, then speak the hazard.
+// Scene descriptions and answers wait behind them.
+
+const PHRASE = { high: 'hazardHigh', medium: 'hazardMedium', low: 'hazardLow' };
+
+export function hazardPhrase({ hazard, urgency }) {
+  return t(PHRASE[urgency] || PHRASE.medium, { hazard });
+}
+
+export function announceHazard(event) {
+  const phrase = hazardPhrase(event);
+  logEvent('hazard', phrase);
+  return speak(phrase, { priority: 'hazard', prelude: () => playEarcon(event.urgency) });
+}
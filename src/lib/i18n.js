@@ -0,0 +1,611 @@
+import { getSettings, LANGUAGES } from './settings';
+
+// Built-in spoken messages and voice grammar per language. Everything the app
+// says on its own (as opposed to model output, which the server prompts in the
+// user's language) comes from this table, and every SpeechRecognition uses
+// getLocale(). To add a language: add it to LANGUAGES in settings.js, then give
+// it an entry in PHRASES and GRAMMAR here.
+
+const PHRASES = {
+  en: {
+    ready: 'SonarAI ready. Tap the button and ask: What\'s around me?',
+    noScene: 'I don\'t have any scene in memory yet. Try asking \'What\'s around me?\'',
+    noCamera: 'Camera is not available. Please allow camera access and refresh.',
+    connectionError: 'Could not connect to AI. Check your connection.',
+    genericError: 'Sorry, something went wrong. Please try again.',
+    answerFailed: 'Sorry, could not answer that.',
+    recognitionUnsupported: 'Speech recognition not supported. Try Chrome or Safari.',
+    micDenied: 'Please allow microphone access.',
+    streamingStarted: 'Streaming started. Say Hey Sonar to ask questions or control voice.',
+    streamingStopped: 'Streaming stopped.',
+    muted: 'Muted.',
+    voiceOn: 'Voice on.',
+    paused: 'Paused. Say Hey Sonar, resume to continue.',
+    resumed: 'Watching again.',
+    wakeAck: 'Yes?',
+    reminder: 'Reminder: {text}',
+    hazardHigh: 'Stop. {hazard}.',
+    hazardMedium: 'Caution. {hazard}.',
+    hazardLow: 'Note: {hazard}.',
+    language: 'Language: English.',
+    voice: 'Voice {name}.',
+    voiceAuto: 'Automatic voice.',
+    rate: 'Rate {value}.',
+    pitch: 'Pitch {value}.',
+    volume: 'Volume {value} percent.',
+    verbosity: 'Verbosity {level}.',
+    terse: 'terse',
+    normal: 'normal',
+    detailed: 'detailed',
+    intentDescribe: 'Looking.',
+    intentRead: 'Reading.',
+    intentRecall: 'Checking memory.',
+    intentStop: 'Stopped.',
+    nothingToRepeat: 'Nothing to repeat yet.',
+    help: 'You can say: what\'s around me, read this, where did I leave my keys, repeat, back, next, when was that, stop, slower or faster. Or ask any question about what I\'ve seen.',
+    modelIntentsOn: 'AI command recognition on.',
+    modelIntentsOff: 'AI command recognition off.',
+    kindScene: 'Scene',
+    kindAnswer: 'Answer',
+    kindHazard: 'Hazard',
+    kindReminder: 'Reminder',
+    justNow: 'just now',
+    minuteAgo: '1 minute ago',
+    minutesAgo: '{n} minutes ago',
+    hourAgo: '1 hour ago',
+    hoursAgo: '{n} hours ago',
+    historyItem: '{ago}. {kind}: {text}',
+    historyWhen: '{kind}, {ago}.',
+    historyStart: 'That was the first one.',
+    historyEnd: 'That was the latest.',
+    readMode: 'Read mode. Point the camera at text and say read, or press Enter.',
+    noText: 'I couldn\'t find any text. Try moving closer or adding light.',
+    textCutOff: 'Some text is cut off at the {edges}. Move the camera that way and read again.',
+    moreParagraphs: '{n} more paragraphs. Say next to continue.',
+    oneMoreParagraph: '1 more paragraph. Say next to continue.',
+    paragraph: 'Paragraph {n} of {total}.',
+    startOfText: 'This is the first paragraph.',
+    endOfText: 'End of text.',
+    nothingToRead: 'Nothing read yet. Say read to read the text in front of you.',
+    readHelp: 'Say read to read new text, next or back to move between paragraphs, repeat, spell that, or spell followed by a word.',
+    edgeTop: 'top',
+    edgeBottom: 'bottom',
+    edgeLeft: 'left',
+    edgeRight: 'right',
+    space: 'space',
+    symbolDot: 'dot',
+    symbolDash: 'dash',
+    symbolSlash: 'slash',
+    symbolPercent: 'percent',
+    framingDark: 'Too dark. Turn on a light or move toward one.',
+    framingBright: 'Too bright. Tilt away from the light.',
+    framingMotion: 'Hold still.',
+    framingBlurry: 'Blurry. Hold still, or move back a little.',
+    framingLeft: 'Move left.',
+    framingRight: 'Move right.',
+    framingUp: 'Move up.',
+    framingDown: 'Move down.',
+    framingCloser: 'Move closer.',
+    framingFarther: 'Move back a little.',
+    framingNotVisible: 'I can\'t see it. Pan slowly.',
+    framingGood: 'Got it.',
+    framingGiveUp: 'Taking the picture anyway.',
+    framingOn: 'Framing help on.',
+    framingOff: 'Framing help off.',
+    serverVoiceOn: 'Server voice on.',
+    serverVoiceOff: 'Server voice off.',
+    connectionLost: 'Connection lost. Live descriptions are paused.',
+    connectionRestored: 'Connection restored.',
+    offline: 'I\'m offline right now.',
+    offlineQueued: 'I\'m offline. I\'ll answer when the connection is back.',
+    offlineMemory: 'The last thing I described, {ago}: {text}',
+    queuedAnswer: 'Your earlier question: {text}',
+    objectItem: '{label}, {clock}, {distance}',
+    clockPosition: '{n} o\'clock',
+    distanceReach: 'within reach',
+    distanceSteps: 'a few steps away',
+    distanceRoom: 'across the room',
+    distanceFar: 'far away',
+    unauthorized: 'This device needs an access key. Add it on the Settings page.',
+    rateLimited: 'Too many requests. Please wait a moment and try again.',
+    quotaTokens: 'You\'ve reached today\'s usage limit. Please try again later.',
+    quotaFrames: 'Today\'s limit for new images is used up. You can still ask about what I\'ve already seen.',
+    accessKeySaved: 'Access key saved.',
+    accessKeyCleared: 'Access key removed.',
+    settingsReset: 'Settings reset.',
+    sample: 'Curb ahead at 12 o\'clock, two steps away. Door on your right.',
+    commandHelp: 'Sorry. Try faster, slower, louder, quieter, higher, lower, terse, detailed, next voice, a language name, test, read settings or reset.'
+  },
+  es: {
+    ready: 'SonarAI listo. Toca el botón y pregunta: ¿Qué hay a mi alrededor?',
+    noScene: 'Todavía no tengo ninguna escena en memoria. Prueba a preguntar: ¿Qué hay a mi alrededor?',
+    noCamera: 'La cámara no está disponible. Permite el acceso a la cámara y recarga la página.',
+    connectionError: 'No se pudo conectar con la IA. Comprueba tu conexión.',
+    genericError: 'Lo siento, algo salió mal. Inténtalo de nuevo.',
+    answerFailed: 'Lo siento, no pude responder a eso.',
+    recognitionUnsupported: 'El reconocimiento de voz no es compatible. Prueba con Chrome o Safari.',
+    micDenied: 'Permite el acceso al micrófono.',
+    streamingStarted: 'Transmisión iniciada. Di Oye Sonar para hacer preguntas o controlar la voz.',
+    streamingStopped: 'Transmisión detenida.',
+    muted: 'Silenciado.',
+    voiceOn: 'Voz activada.',
+    paused: 'En pausa. Di oye Sonar, continúa para seguir.',
+    resumed: 'Vuelvo a mirar.',
+    wakeAck: '¿Sí?',
+    reminder: 'Recordatorio: {text}',
+    hazardHigh: 'Alto. {hazard}.',
+    hazardMedium: 'Cuidado. {hazard}.',
+    hazardLow: 'Aviso: {hazard}.',
+    language: 'Idioma: español.',
+    voice: 'Voz {name}.',
+    voiceAuto: 'Voz automática.',
+    rate: 'Velocidad {value}.',
+    pitch: 'Tono {value}.',
+    volume: 'Volumen {value} por ciento.',
+    verbosity: 'Detalle: {level}.',
+    terse: 'breve',
+    normal: 'normal',
+    detailed: 'detallado',
+    intentDescribe: 'Mirando.',
+    intentRead: 'Leyendo.',
+    intentRecall: 'Buscando en la memoria.',
+    intentStop: 'Detenido.',
+    nothingToRepeat: 'Todavía no hay nada que repetir.',
+    help: 'Puedes decir: qué hay a mi alrededor, lee esto, dónde dejé mis llaves, repite, anterior, siguiente, cuándo fue, para, más despacio o más rápido. O pregunta lo que quieras sobre lo que he visto.',
+    modelIntentsOn: 'Reconocimiento de comandos con IA activado.',
+    modelIntentsOff: 'Reconocimiento de comandos con IA desactivado.',
+    kindScene: 'Escena',
+    kindAnswer: 'Respuesta',
+    kindHazard: 'Peligro',
+    kindReminder: 'Recordatorio',
+    justNow: 'justo ahora',
+    minuteAgo: 'hace 1 minuto',
+    minutesAgo: 'hace {n} minutos',
+    hourAgo: 'hace 1 hora',
+    hoursAgo: 'hace {n} horas',
+    historyItem: '{ago}. {kind}: {text}',
+    historyWhen: '{kind}, {ago}.',
+    historyStart: 'Esa era la primera.',
+    historyEnd: 'Esa era la más reciente.',
+    readMode: 'Modo lectura. Apunta la cámara a un texto y di lee, o pulsa Intro.',
+    noText: 'No encontré ningún texto. Prueba a acercarte o a poner más luz.',
+    textCutOff: 'Parte del texto queda cortado por {edges}. Mueve la cámara hacia ese lado y vuelve a leer.',
+    moreParagraphs: '{n} párrafos más. Di siguiente para continuar.',
+    oneMoreParagraph: '1 párrafo más. Di siguiente para continuar.',
+    paragraph: 'Párrafo {n} de {total}.',
+    startOfText: 'Este es el primer párrafo.',
+    endOfText: 'Fin del texto.',
+    nothingToRead: 'Todavía no he leído nada. Di lee para leer el texto que tienes delante.',
+    readHelp: 'Di lee para leer un texto nuevo, siguiente o anterior para cambiar de párrafo, repite, o deletrea seguido de una palabra.',
+    edgeTop: 'arriba',
+    edgeBottom: 'abajo',
+    edgeLeft: 'la izquierda',
+    edgeRight: 'la derecha',
+    space: 'espacio',
+    symbolDot: 'punto',
+    symbolDash: 'guion',
+    symbolSlash: 'barra',
+    symbolPercent: 'por ciento',
+    framingDark: 'Demasiado oscuro. Enciende una luz o acércate a una.',
+    framingBright: 'Demasiada luz. Inclina la cámara para apartarla de la luz.',
+    framingMotion: 'No te muevas.',
+    framingBlurry: 'Está borroso. No te muevas, o aléjate un poco.',
+    framingLeft: 'Mueve a la izquierda.',
+    framingRight: 'Mueve a la derecha.',
+    framingUp: 'Mueve hacia arriba.',
+    framingDown: 'Mueve hacia abajo.',
+    framingCloser: 'Acércate.',
+    framingFarther: 'Aléjate un poco.',
+    framingNotVisible: 'No lo veo. Gira despacio.',
+    framingGood: 'Listo.',
+    framingGiveUp: 'Hago la foto de todos modos.',
+    framingOn: 'Ayuda para encuadrar activada.',
+    framingOff: 'Ayuda para encuadrar desactivada.',
+    serverVoiceOn: 'Voz del servidor activada.',
+    serverVoiceOff: 'Voz del servidor desactivada.',
+    connectionLost: 'Se perdió la conexión. Las descripciones en directo están en pausa.',
+    connectionRestored: 'Conexión restablecida.',
+    offline: 'Ahora mismo no tengo conexión.',
+    offlineQueued: 'No tengo conexión. Responderé cuando vuelva.',
+    offlineMemory: 'Lo último que describí, {ago}: {text}',
+    queuedAnswer: 'Tu pregunta de antes: {text}',
+    objectItem: '{label}, {clock}, {distance}',
+    clockPosition: 'a las {n}',
+    distanceReach: 'al alcance de la mano',
+    distanceSteps: 'a unos pasos',
+    distanceRoom: 'al otro lado de la habitación',
+    distanceFar: 'lejos',
+    unauthorized: 'Este dispositivo necesita una clave de acceso. Añádela en la página de ajustes.',
+    rateLimited: 'Demasiadas solicitudes. Espera un momento y vuelve a intentarlo.',
+    quotaTokens: 'Has alcanzado el límite de uso de hoy. Inténtalo más tarde.',
+    quotaFrames: 'Se agotó el límite de hoy para imágenes nuevas. Aún puedes preguntar por lo que ya he visto.',
+    accessKeySaved: 'Clave de acceso guardada.',
+    accessKeyCleared: 'Clave de acceso eliminada.',
+    settingsReset: 'Ajustes restablecidos.',
+    sample: 'Bordillo delante a las 12, a dos pasos. Puerta a tu derecha.',
+    commandHelp: 'Lo siento. Di más rápido, más lento, más alto, más bajo, más agudo, más grave, breve, detallado, otra voz, el nombre de un idioma, prueba, leer ajustes o restablecer.'
+  },
+  fr: {
+    ready: 'SonarAI prêt. Appuyez sur le bouton et demandez : Qu\'y a-t-il autour de moi ?',
+    noScene: 'Je n\'ai encore aucune scène en mémoire. Demandez : Qu\'y a-t-il autour de moi ?',
+    noCamera: 'La caméra n\'est pas disponible. Autorisez l\'accès à la caméra et rechargez la page.',
+    connectionError: 'Impossible de joindre l\'IA. Vérifiez votre connexion.',
+    genericError: 'Désolé, une erreur s\'est produite. Veuillez réessayer.',
+    answerFailed: 'Désolé, je n\'ai pas pu répondre.',
+    recognitionUnsupported: 'La reconnaissance vocale n\'est pas prise en charge. Essayez Chrome ou Safari.',
+    micDenied: 'Veuillez autoriser l\'accès au micro.',
+    streamingStarted: 'Diffusion démarrée. Dites Dis Sonar pour poser une question ou régler la voix.',
+    streamingStopped: 'Diffusion arrêtée.',
+    muted: 'Silence.',
+    voiceOn: 'Voix activée.',
+    paused: 'En pause. Dites dis Sonar, reprends pour continuer.',
+    resumed: 'Je regarde à nouveau.',
+    wakeAck: 'Oui ?',
+    reminder: 'Rappel : {text}',
+    hazardHigh: 'Stop. {hazard}.',
+    hazardMedium: 'Attention. {hazard}.',
+    hazardLow: 'À noter : {hazard}.',
+    language: 'Langue : français.',
+    voice: 'Voix {name}.',
+    voiceAuto: 'Voix automatique.',
+    rate: 'Débit {value}.',
+    pitch: 'Hauteur {value}.',
+    volume: 'Volume {value} pour cent.',
+    verbosity: 'Niveau de détail : {level}.',
+    terse: 'bref',
+    normal: 'normal',
+    detailed: 'détaillé',
+    intentDescribe: 'Je regarde.',
+    intentRead: 'Je lis.',
+    intentRecall: 'Je cherche dans ma mémoire.',
+    intentStop: 'Arrêté.',
+    nothingToRepeat: 'Rien à répéter pour l\'instant.',
+    help: 'Vous pouvez dire : qu\'y a-t-il autour de moi, lis ceci, où ai-je laissé mes clés, répète, précédent, suivant, c\'était quand, stop, plus lent ou plus vite. Ou posez une question sur ce que j\'ai vu.',
+    modelIntentsOn: 'Reconnaissance des commandes par IA activée.',
+    modelIntentsOff: 'Reconnaissance des commandes par IA désactivée.',
+    kindScene: 'Scène',
+    kindAnswer: 'Réponse',
+    kindHazard: 'Danger',
+    kindReminder: 'Rappel',
+    justNow: 'à l\'instant',
+    minuteAgo: 'il y a 1 minute',
+    minutesAgo: 'il y a {n} minutes',
+    hourAgo: 'il y a 1 heure',
+    hoursAgo: 'il y a {n} heures',
+    historyItem: '{ago}. {kind} : {text}',
+    historyWhen: '{kind}, {ago}.',
+    historyStart: 'C\'était la première.',
+    historyEnd: 'C\'était la plus récente.',
+    readMode: 'Mode lecture. Dirigez la caméra vers un texte et dites lis, ou appuyez sur Entrée.',
+    noText: 'Je n\'ai trouvé aucun texte. Rapprochez-vous ou ajoutez de la lumière.',
+    textCutOff: 'Une partie du texte est coupée {edges}. Déplacez la caméra de ce côté et relisez.',
+    moreParagraphs: 'Encore {n} paragraphes. Dites suivant pour continuer.',
+    oneMoreParagraph: 'Encore 1 paragraphe. Dites suivant pour continuer.',
+    paragraph: 'Paragraphe {n} sur {total}.',
+    startOfText: 'C\'est le premier paragraphe.',
+    endOfText: 'Fin du texte.',
+    nothingToRead: 'Rien n\'a encore été lu. Dites lis pour lire le texte devant vous.',
+    readHelp: 'Dites lis pour lire un nouveau texte, suivant ou précédent pour changer de paragraphe, répète, ou épelle suivi d\'un mot.',
+    edgeTop: 'en haut',
+    edgeBottom: 'en bas',
+    edgeLeft: 'à gauche',
+    edgeRight: 'à droite',
+    space: 'espace',
+    symbolDot: 'point',
+    symbolDash: 'tiret',
+    symbolSlash: 'barre oblique',
+    symbolPercent: 'pour cent',
+    framingDark: 'Trop sombre. Allumez une lumière ou approchez-vous-en.',
+    framingBright: 'Trop lumineux. Inclinez la caméra à l\'écart de la lumière.',
+    framingMotion: 'Ne bougez plus.',
+    framingBlurry: 'C\'est flou. Ne bougez plus, ou reculez un peu.',
+    framingLeft: 'Allez à gauche.',
+    framingRight: 'Allez à droite.',
+    framingUp: 'Montez.',
+    framingDown: 'Descendez.',
+    framingCloser: 'Rapprochez-vous.',
+    framingFarther: 'Reculez un peu.',
+    framingNotVisible: 'Je ne le vois pas. Tournez lentement.',
+    framingGood: 'C\'est bon.',
+    framingGiveUp: 'Je prends la photo quand même.',
+    framingOn: 'Aide au cadrage activée.',
+    framingOff: 'Aide au cadrage désactivée.',
+    serverVoiceOn: 'Voix du serveur activée.',
+    serverVoiceOff: 'Voix du serveur désactivée.',
+    connectionLost: 'Connexion perdue. Les descriptions en direct sont en pause.',
+    connectionRestored: 'Connexion rétablie.',
+    offline: 'Je suis hors ligne pour le moment.',
+    offlineQueued: 'Je suis hors ligne. Je répondrai quand la connexion reviendra.',
+    offlineMemory: 'La dernière chose que j\'ai décrite, {ago} : {text}',
+    queuedAnswer: 'Votre question de tout à l\'heure : {text}',
+    objectItem: '{label}, {clock}, {distance}',
+    clockPosition: 'à {n} heures',
+    distanceReach: 'à portée de main',
+    distanceSteps: 'à quelques pas',
+    distanceRoom: 'de l\'autre côté de la pièce',
+    distanceFar: 'loin',
+    unauthorized: 'Cet appareil a besoin d\'une clé d\'accès. Ajoutez-la dans les réglages.',
+    rateLimited: 'Trop de demandes. Patientez un instant et réessayez.',
+    quotaTokens: 'Vous avez atteint la limite d\'utilisation du jour. Réessayez plus tard.',
+    quotaFrames: 'La limite du jour pour les nouvelles images est atteinte. Vous pouvez encore poser des questions sur ce que j\'ai déjà vu.',
+    accessKeySaved: 'Clé d\'accès enregistrée.',
+    accessKeyCleared: 'Clé d\'accès supprimée.',
+    settingsReset: 'Réglages réinitialisés.',
+    sample: 'Bordure de trottoir devant à midi, à deux pas. Porte sur votre droite.',
+    commandHelp: 'Désolé. Essayez plus vite, plus lent, plus fort, moins fort, plus aigu, plus grave, bref, détaillé, autre voix, le nom d\'une langue, essai, lire les réglages ou réinitialiser.'
+  },
+  hi: {
+    ready: 'SonarAI तैयार है। बटन दबाएँ और पूछें: मेरे आसपास क्या है?',
+    noScene: 'अभी मेरी याद में कोई दृश्य नहीं है। पूछकर देखें: मेरे आसपास क्या है?',
+    noCamera: 'कैमरा उपलब्ध नहीं है। कृपया कैमरे की अनुमति दें और पेज दोबारा लोड करें।',
+    connectionError: 'AI से कनेक्ट नहीं हो सका। अपना कनेक्शन जाँचें।',
+    genericError: 'माफ़ कीजिए, कुछ गड़बड़ हो गई। कृपया फिर से कोशिश करें।',
+    answerFailed: 'माफ़ कीजिए, इसका जवाब नहीं दे सका।',
+    recognitionUnsupported: 'वाक् पहचान समर्थित नहीं है। Chrome या Safari आज़माएँ।',
+    micDenied: 'कृपया माइक्रोफ़ोन की अनुमति दें।',
+    streamingStarted: 'स्ट्रीमिंग शुरू। सवाल पूछने या आवाज़ नियंत्रित करने के लिए कहें हे सोनार।',
+    streamingStopped: 'स्ट्रीमिंग बंद।',
+    muted: 'आवाज़ बंद।',
+    voiceOn: 'आवाज़ चालू।',
+    paused: 'रुका हुआ। जारी रखने के लिए कहें हे सोनार, फिर से देखो।',
+    resumed: 'फिर से देख रहा हूँ।',
+    wakeAck: 'हाँ?',
+    reminder: 'याद दिलाना: {text}',
+    hazardHigh: 'रुकिए। {hazard}।',
+    hazardMedium: 'सावधान। {hazard}।',
+    hazardLow: 'ध्यान दें: {hazard}।',
+    language: 'भाषा: हिन्दी।',
+    voice: 'आवाज़ {name}।',
+    voiceAuto: 'स्वचालित आवाज़।',
+    rate: 'गति {value}।',
+    pitch: 'पिच {value}।',
+    volume: 'वॉल्यूम {value} प्रतिशत।',
+    verbosity: 'विस्तार: {level}।',
+    terse: 'संक्षिप्त',
+    normal: 'सामान्य',
+    detailed: 'विस्तृत',
+    intentDescribe: 'देख रहा हूँ।',
+    intentRead: 'पढ़ रहा हूँ।',
+    intentRecall: 'याद देख रहा हूँ।',
+    intentStop: 'रुक गया।',
+    nothingToRepeat: 'अभी दोहराने के लिए कुछ नहीं है।',
+    help: 'आप कह सकते हैं: मेरे आसपास क्या है, इसे पढ़ो, मैंने चाबियाँ कहाँ रखी थीं, दोहराओ, पिछला, अगला, कब की बात है, रुको, धीरे या तेज़ बोलो। या मैंने जो देखा उसके बारे में कुछ भी पूछें।',
+    modelIntentsOn: 'AI कमांड पहचान चालू।',
+    modelIntentsOff: 'AI कमांड पहचान बंद।',
+    kindScene: 'दृश्य',
+    kindAnswer: 'जवाब',
+    kindHazard: 'ख़तरा',
+    kindReminder: 'याद दिलाना',
+    justNow: 'अभी-अभी',
+    minuteAgo: '1 मिनट पहले',
+    minutesAgo: '{n} मिनट पहले',
+    hourAgo: '1 घंटा पहले',
+    hoursAgo: '{n} घंटे पहले',
+    historyItem: '{ago}। {kind}: {text}',
+    historyWhen: '{kind}, {ago}।',
+    historyStart: 'यह पहला था।',
+    historyEnd: 'यह सबसे नया था।',
+    readMode: 'पढ़ने का मोड। कैमरा किसी लिखावट की ओर करें और कहें पढ़ो, या Enter दबाएँ।',
+    noText: 'मुझे कोई लिखावट नहीं मिली। पास आकर या रोशनी बढ़ाकर देखें।',
+    textCutOff: 'कुछ लिखावट {edges} कट रही है। कैमरा उस ओर करें और फिर से पढ़ें।',
+    moreParagraphs: '{n} और अनुच्छेद। आगे सुनने के लिए कहें अगला।',
+    oneMoreParagraph: '1 और अनुच्छेद। आगे सुनने के लिए कहें अगला।',
+    paragraph: 'अनुच्छेद {n} / {total}।',
+    startOfText: 'यह पहला अनुच्छेद है।',
+    endOfText: 'लिखावट समाप्त।',
+    nothingToRead: 'अभी कुछ नहीं पढ़ा गया। सामने की लिखावट पढ़ने के लिए कहें पढ़ो।',
+    readHelp: 'नई लिखावट के लिए कहें पढ़ो, अनुच्छेद बदलने के लिए अगला या पिछला, दोहराओ, या स्पेल।',
+    edgeTop: 'ऊपर',
+    edgeBottom: 'नीचे',
+    edgeLeft: 'बाईं ओर',
+    edgeRight: 'दाईं ओर',
+    space: 'स्पेस',
+    symbolDot: 'दशमलव',
+    symbolDash: 'डैश',
+    symbolSlash: 'स्लैश',
+    symbolPercent: 'प्रतिशत',
+    framingDark: 'बहुत अँधेरा है। बत्ती जलाएँ या रोशनी की ओर जाएँ।',
+    framingBright: 'बहुत तेज़ रोशनी है। कैमरा रोशनी से हटाएँ।',
+    framingMotion: 'स्थिर रहें।',
+    framingBlurry: 'तस्वीर धुंधली है। स्थिर रहें, या थोड़ा पीछे हटें।',
+    framingLeft: 'बाईं ओर ले जाएँ।',
+    framingRight: 'दाईं ओर ले जाएँ।',
+    framingUp: 'ऊपर ले जाएँ।',
+    framingDown: 'नीचे ले जाएँ।',
+    framingCloser: 'पास आएँ।',
+    framingFarther: 'थोड़ा पीछे हटें।',
+    framingNotVisible: 'मुझे यह नहीं दिख रहा। धीरे-धीरे घुमाएँ।',
+    framingGood: 'ठीक है।',
+    framingGiveUp: 'फिर भी तस्वीर ली जा रही है।',
+    framingOn: 'फ़्रेमिंग मदद चालू।',
+    framingOff: 'फ़्रेमिंग मदद बंद।',
+    serverVoiceOn: 'सर्वर की आवाज़ चालू।',
+    serverVoiceOff: 'सर्वर की आवाज़ बंद।',
+    connectionLost: 'कनेक्शन टूट गया। लाइव विवरण रुके हुए हैं।',
+    connectionRestored: 'कनेक्शन वापस आ गया।',
+    offline: 'अभी कनेक्शन नहीं है।',
+    offlineQueued: 'अभी कनेक्शन नहीं है। कनेक्शन लौटने पर जवाब दूँगा।',
+    offlineMemory: 'आख़िरी विवरण, {ago}: {text}',
+    queuedAnswer: 'आपका पिछला सवाल: {text}',
+    objectItem: '{label}, {clock}, {distance}',
+    clockPosition: '{n} बजे की दिशा में',
+    distanceReach: 'हाथ भर की दूरी पर',
+    distanceSteps: 'कुछ कदम दूर',
+    distanceRoom: 'कमरे के उस पार',
+    distanceFar: 'दूर',
+    unauthorized: 'इस डिवाइस के लिए एक्सेस कुंजी चाहिए। इसे सेटिंग्स पेज पर जोड़ें।',
+    rateLimited: 'बहुत सारे अनुरोध। कृपया थोड़ी देर रुककर फिर कोशिश करें।',
+    quotaTokens: 'आज की उपयोग सीमा पूरी हो गई है। कृपया बाद में कोशिश करें।',
+    quotaFrames: 'नई तस्वीरों की आज की सीमा पूरी हो गई है। मैंने जो पहले देखा है, उसके बारे में आप अभी भी पूछ सकते हैं।',
+    accessKeySaved: 'एक्सेस कुंजी सहेजी गई।',
+    accessKeyCleared: 'एक्सेस कुंजी हटाई गई।',
+    settingsReset: 'सेटिंग्स रीसेट हो गईं।',
+    sample: 'सामने 12 बजे की दिशा में फुटपाथ का किनारा, दो कदम दूर। दाईं ओर दरवाज़ा।',
+    commandHelp: 'माफ़ कीजिए। कहें तेज़, धीरे, ज़ोर से, कम आवाज़, ऊँचा, नीचा, संक्षेप, विस्तार, दूसरी आवाज़, किसी भाषा का नाम, टेस्ट, सेटिंग्स पढ़ो या रीसेट।'
+  }
+};
+
+// Wake word and voice commands for streaming mode, the traditional-mode
+// intent rules (see intents.js) and the settings page commands (see
+// parseSettingsCommand in settings.js). Intent rules are tried in order; the first
+// match wins, so the whole-utterance commands come before the broad ones.
+// Devanagari has no \b word boundaries in JS regexes, so the Hindi patterns
+// match substrings, and stems are written without nukta to match either form.
+const GRAMMAR = {
+  en: {
+    wake: /\b(hey|okay|ok)\s+son[ao]r\b[,.\s]*/i,
+    mute: /(voice|audio|sound)\s+off|^mute$|be\s+quiet|stop\s+talk/i,
+    unmute: /(voice|audio|sound)\s+on|^unmute$|start\s+talk/i,
+    pause: /^pause\b|stop\s+(looking|watching|scanning)/i,
+    resume: /^(resume|continue)\b|start\s+(looking|watching|scanning)/i,
+    intents: [
+      ['stop', /^(stop|cancel|quiet|silence|enough|be quiet|shut up)( talking| it| now| please)?[.!]?$/i],
+      ['repeat', /^(repeat|say (that|it) again|again|what did you say|pardon|come again|one more time)\b/i],
+      ['previous', /^(go back|back|previous( one)?|before that)\b/i],
+      ['next', /^(go forward|forward|next( one)?)\b/i],
+      ['when', /^(when was (that|this|it)|how long ago)/i],
+      ['spell', /^spell\b\s*/i],
+      ['slower', /\b(slow down|slower)\b/i],
+      ['faster', /\b(speed up|faster)\b/i],
+      ['help', /^(help|what can (you|i) (do|say)|commands|options)\b/i],
+      ['recall', /\b(where (did|was|were|had) |where did i (put|leave)|did you (see|notice)|remember|earlier|last time|have you seen)/i],
+      ['read_text', /\b(read|what does (it|this|that|the \w+) say|what('s| is) written|label|sign say)/i],
+      ['describe', /\b(what'?s (around|in front|ahead|here)|what is (around|in front|ahead|here)|describe|what (do|can) you (see|notice)|look around|scan|where am i|surround)/i]
+    ],
+    settings: {
+      languages: { en: /english/, es: /spanish/, fr: /french/, hi: /hindi/ },
+      verbosity: { terse: /\b(terse|shorter|brief)\b/, normal: /\bnormal\b/, detailed: /\b(detailed|longer|more detail)\b/ },
+      autoVoice: /\b(automatic|default) voice\b/,
+      nextVoice: /\b(next|other|another|change) voice\b/,
+      reset: /\b(reset|defaults?)\b/,
+      test: /\b(test|sample)\b/,
+      read: /\b(read|current)\b/,
+      named: { rate: /\b(rate|speed)\b/, pitch: /\bpitch\b/, volume: /\bvolume\b/ },
+      up: /\b(faster|higher|louder|raise|increase|up)\b/,
+      down: /\b(slower|lower|deeper|quieter|softer|decrease|down)\b/,
+      implied: { rate: /\b(faster|slower)\b/, volume: /\b(louder|quieter|softer)\b/, pitch: /\b(higher|lower|deeper)\b/ }
+    }
+  },
+  es: {
+    wake: /\b(oye|hola|ok|okay)\s+son[ao]r\b[,.\s]*/i,
+    mute: /silencio|c[aá]llate|apaga(r)?\s+(la\s+)?voz|deja\s+de\s+hablar/i,
+    unmute: /(enciende|activa|pon)\s+(la\s+)?voz|vuelve\s+a\s+hablar/i,
+    pause: /^pausa|deja\s+de\s+mirar/i,
+    resume: /^(reanuda|contin[uú]a)|vuelve\s+a\s+mirar/i,
+    intents: [
+      ['stop', /^(para|detente|basta|silencio|cancela|c[aá]llate)[.!]?$/i],
+      ['repeat', /^(repite|rep[ií]telo|otra vez|qu[eé] dijiste)/i],
+      ['previous', /^(anterior|atr[aá]s|vuelve atr[aá]s)/i],
+      ['next', /^(siguiente|adelante)/i],
+      ['when', /^(cu[aá]ndo fue|hace cu[aá]nto)/i],
+      ['spell', /^(deletrea|deletr[eé]ame)\s*/i],
+      ['slower', /m[aá]s (despacio|lento)/i],
+      ['faster', /m[aá]s r[aá]pido|acelera/i],
+      ['help', /^(ayuda|qu[eé] puedo decir|comandos)/i],
+      ['recall', /d[oó]nde (dej[eé]|estaba|estaban|puse)|recuerdas|has visto|viste antes/i],
+      ['read_text', /\b(lee|leer|l[eé]eme)\b|qu[eé] dice|qu[eé] pone|etiqueta|letrero/i],
+      ['describe', /alrededor|describe|qu[eé] (ves|hay)|d[oó]nde estoy|delante|frente/i]
+    ],
+    settings: {
+      languages: { en: /ingl[eé]s/, es: /espa[nñ]ol|castellano/, fr: /franc[eé]s/, hi: /hindi/ },
+      verbosity: { terse: /breve|corto|conciso/, normal: /\bnormal\b/, detailed: /detallad|m[aá]s largo|m[aá]s detalle/ },
+      autoVoice: /voz (autom[aá]tica|predeterminada)/,
+      nextVoice: /(otra|siguiente|cambia(r)?( la| de)?) voz|voz siguiente/,
+      reset: /restablece|reinicia|predeterminad/,
+      test: /prueba|probar|ejemplo/,
+      read: /\b(lee|leer)\b|actual/,
+      named: { rate: /velocidad/, pitch: /tono/, volume: /volumen/ },
+      up: /m[aá]s (r[aá]pido|alto|fuerte|agudo)|sube|aumenta/,
+      down: /m[aá]s (lento|despacio|bajo|suave|grave)|baja|disminuye/,
+      implied: { rate: /r[aá]pido|lento|despacio/, volume: /alto|bajo|fuerte|suave/, pitch: /agudo|grave/ }
+    }
+  },
+  fr: {
+    wake: /\b(dis|hé|hey|ok|okay)\s+son[ao]r\b[,.\s]*/i,
+    mute: /silence|tais[- ]toi|coupez?\s+(la\s+)?voix|arr[eê]tez?\s+de\s+parler/i,
+    unmute: /(remets|activez?|rallumez?)\s+(la\s+)?voix|reparle/i,
+    pause: /^pause|arr[eê]tez?\s+de\s+regarder/i,
+    resume: /^(reprends|reprenez|continuez?)\b|regardez?\s+[aà]\s+nouveau/i,
+    intents: [
+      ['stop', /^(stop|arr[eê]tez?|silence|tais-toi|annule|assez)[.!]?$/i],
+      ['repeat', /^(r[eé]p[eè]te|r[eé]p[eé]tez|encore une fois|tu peux r[eé]p[eé]ter)/i],
+      ['previous', /^(pr[eé]c[eé]dent|retour|en arri[eè]re)/i],
+      ['next', /^(suivant|apr[eè]s)\b/i],
+      ['when', /^(c'[eé]tait quand|quand [eé]tait-ce|il y a combien de temps)/i],
+      ['spell', /^([eé]pelle|[eé]pelez)\s*/i],
+      ['slower', /plus lent|moins vite|ralentis/i],
+      ['faster', /plus vite|acc[eé]l[eè]re/i],
+      ['help', /^(aide|qu'est-ce que je peux dire|commandes)/i],
+      ['recall', /o[uù] (ai-je|j'ai|[eé]tait|[eé]taient)|te souviens|tout [aà] l'heure|as-tu vu|tu as vu/i],
+      ['read_text', /\b(lis|lire|lisez)\b|qu'est-ce qui est [eé]crit|que dit|[eé]tiquette|panneau/i],
+      ['describe', /autour|d[eé]cris|qu'y a-t-il|que vois-tu|qu'est-ce que tu vois|o[uù] suis-je|devant/i]
+    ],
+    settings: {
+      languages: { en: /anglais/, es: /espagnol/, fr: /fran[cç]ais/, hi: /hindi/ },
+      verbosity: { terse: /\bbref\b|br[eè]ve|concis|plus court/, normal: /\bnormal\b/, detailed: /d[eé]taill|plus long/ },
+      autoVoice: /voix (automatique|par d[eé]faut)/,
+      nextVoice: /(autre|prochaine|changer? de|changez de) voix|voix suivante/,
+      reset: /r[eé]initialise|par d[eé]faut/,
+      test: /\btest|essai|exemple/,
+      read: /\b(lis|lire|lisez)\b|actuels/,
+      named: { rate: /vitesse|d[eé]bit/, pitch: /hauteur|tonalit/, volume: /volume/ },
+      up: /plus (vite|fort|aigu)|monte|augmente|acc[eé]l[eè]re/,
+      down: /moins (vite|fort)|plus (lent|doux|grave)|ralentis|baisse|diminue/,
+      implied: { rate: /vite|lent|ralentis|acc[eé]l[eè]re/, volume: /fort|doux/, pitch: /aigu|grave/ }
+    }
+  },
+  hi: {
+    wake: /(हे|ओके|अरे|hey|ok)\s*(सोनार|सोनर|sonar)[,।.\s]*/i,
+    mute: /चुप|आवाज़?\s*बंद|म्यूट/,
+    unmute: /आवाज़?\s*(चालू|शुरू)|अनम्यूट/,
+    pause: /देखना\s*बंद|पॉज़?/,
+    resume: /देखना\s*(चालू|शुरू)|फिर से देखो|जारी रखो/,
+    intents: [
+      ['stop', /^(रुको|बस|चुप|बंद करो|रोको)[।.!]?$/],
+      ['repeat', /दोहराओ|फिर से बोलो|दोबारा बोलो|क्या कहा/],
+      ['previous', /पिछला|पीछे जाओ/],
+      ['next', /अगला|आगे जाओ/],
+      ['when', /कब की बात|कितनी देर पहले|कब हुआ/],
+      ['spell', /स्पेल|वर्तनी/],
+      ['slower', /धीरे|धीमे/],
+      ['faster', /तेज|जल्दी बोलो/],
+      ['help', /^(मदद|सहायता)|क्या बोल सकत/],
+      ['recall', /कहाँ रखा|कहाँ था|कहाँ थी|याद है|पहले देखा|तुमने देखा/],
+      ['read_text', /पढ|क्या लिखा|लेबल/],
+      ['describe', /आसपास|आस पास|कहाँ हूँ|वर्णन|क्या दिख|सामने/]
+    ],
+    settings: {
+      languages: { en: /अंग्रेज|english/, es: /स्पेनिश|spanish/, fr: /फ्रेंच|french/, hi: /हिंदी|हिन्दी|hindi/ },
+      verbosity: { terse: /संक्षेप|छोटा/, normal: /सामान्य|नॉर्मल/, detailed: /विस्तार|लंबा/ },
+      autoVoice: /स्वचालित आवाज/,
+      nextVoice: /(दूसरी|अगली) आवाज|आवाज़?\s*बदल/,
+      reset: /रीसेट/,
+      test: /टेस्ट|नमूना/,
+      read: /पढ|सेटिंग्स बताओ/,
+      named: { rate: /गति|स्पीड/, pitch: /पिच|सुर/, volume: /वॉल्यूम/ },
+      up: /तेज|ज़?ोर|ऊँच|ऊंच|बढ/,
+      down: /धीर|धीम|नीच|कम|घटा/,
+      implied: { rate: /तेज|धीर|धीम/, volume: /ज़?ोर|कम आवाज/, pitch: /ऊँच|ऊंच|नीच/ }
+    }
+  }
+};
+
+export function getLanguage() {
+  return getSettings().language;
+}
+
+// BCP 47 tag for SpeechRecognition and SpeechSynthesisUtterance
+export function getLocale() {
+  return LANGUAGES[getLanguage()].locale;
+}
+
+export function getGrammar() {
+  return GRAMMAR[getLanguage()];
+}
+
+// Built-in message in the user's language, falling back to English.
+// `{name}` placeholders are filled from `vars`.
+export function t(key, vars = {}) {
+  const template = PHRASES[getLanguage()][key] ?? PHRASES.en[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+}
@@ -0,0 +1,68 @@
+import { getSettings } from './settings';
+import { getGrammar } from './i18n';
+import { authHeaders } from './apiKey';
+
+// Intent layer for Traditional mode (StreamingMode uses matchIntent for the
+// history commands after its wake word). Local rules (per-language patterns in
+// i18n.js) catch the commands instantly; anything they don't match is classified
+// by the model via /api/intent if enabled in settings, else treated as a question.
+//
+//   describe  — capture a frame and describe it
+//   read_text — capture a frame and read the text in it
+//   recall    — answer from scene memory, no capture
+//   repeat / previous / next / when — spoken history navigation (eventLog.js)
+//   spell     — Read mode: spell a word of the current paragraph
+//   stop / slower / faster / help — handled locally, no model call
+//   question  — anything else; answered from memory, or a fresh frame if there is none
+
+export const INTENTS = [
+  'describe', 'read_text', 'recall', 'repeat', 'previous', 'next', 'when', 'spell', 'stop', 'slower', 'faster', 'help', 'question'
+];
+
+// Model classification must not hold up the answer for long
+const MODEL_TIMEOUT_MS = 2500;
+
+export function matchIntent(text) {
+  const clean = text.normalize('NFC').trim();
+  const rule = getGrammar().intents.find(([, pattern]) => pattern.test(clean));
+  return rule ? rule[0] : null;
+}
+
+// What follows the command words, e.g. the word in "spell amoxicillin"
+export function intentArgument(text, intent) {
+  const rule = getGrammar().intents.find(([name]) => name === intent);
+  return rule ? text.normalize('NFC').trim().replace(rule[1], '').trim() : '';
+}
+
+async function classifyWithModel(text) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), MODEL_TIMEOUT_MS);
+  try {
+    const res = await fetch('/api/intent', {
+      method: 'POST',
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ text }),
+      signal: controller.signal
+    });
+    if (!res.ok) throw new Error(`API error: ${res.status}`);
+    const { intent } = await res.json();
+    return INTENTS.includes(intent) ? intent : 'question';
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Resolves to { intent, source: 'rules' | 'model' | 'default' }
+export async function recognizeIntent(text) {
+  const local = matchIntent(text);
+  if (local) return { intent: local, source: 'rules' };
+
+  if (getSettings().modelIntents) {
+    try {
+      return { intent: await classifyWithModel(text), source: 'model' };
+    } catch (err) {
+      console.warn('Intent classification failed:', err.message);
+    }
+  }
+  return { intent: 'question', source: 'default' };
+}
@@ -0,0 +1,15 @@
+// Latest device position, used to place flagged hazards on a map.
+// Watching starts on first call; returns null until a fix arrives or if denied.
+let lastLocation = null;
+let watchId = null;
+
+export function getLastLocation() {
+  if (watchId === null && navigator.geolocation) {
+    watchId = navigator.geolocation.watchPosition(
+      (pos) => { lastLocation = { lat: pos.coords.latitude, lng: pos.coords.longitude }; },
+      () => {}, // denied or unavailable — hazards are logged without a location
+      { enableHighAccuracy: true, maximumAge: 10000 }
+    );
+  }
+  return lastLocation;
+}
@@ -0,0 +1,205 @@
+import { authHeaders } from './apiKey';
+
+// Speech recognition for every browser. Where the Web Speech API exists it is
+// used as is; elsewhere (Firefox, glasses that only expose a mic stream) a
+// stand-in with the same interface records one utterance at a time with
+// MediaRecorder and has /api/transcribe turn it into text.
+//
+// The stand-in supports what the app uses: lang, continuous, start(), stop(),
+// abort(), and onresult / onerror / onend with the browser's event shapes —
+// every result is final, there are no interim results.
+
+const LEVEL_THRESHOLD = 0.02; // RMS above this counts as speech
+const SILENCE_MS = 900;       // a pause this long ends the utterance
+const MAX_CLIP_MS = 10000;
+const IDLE_CLIP_MS = 4000;    // clips with no speech are discarded after this long
+const POLL_MS = 100;
+const UNAVAILABLE_MS = 60000; // after a 503, don't offer server recognition this long
+
+let unavailableUntil = 0;
+
+function canRecord() {
+  return Boolean(window.MediaRecorder && navigator.mediaDevices?.getUserMedia) && Date.now() >= unavailableUntil;
+}
+
+// A SpeechRecognition instance (native or recorded), or null when there is no
+// way to recognize speech on this device
+export function createRecognition() {
+  const Native = window.SpeechRecognition || window.webkitSpeechRecognition;
+  if (Native) return new Native();
+  return canRecord() ? createRecordedRecognition() : null;
+}
+
+function blobToDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+function level(analyser, samples) {
+  analyser.getFloatTimeDomainData(samples);
+  let sum = 0;
+  for (const s of samples) sum += s * s;
+  return Math.sqrt(sum / samples.length);
+}
+
+function createRecordedRecognition() {
+  let state = 'idle'; // idle → listening → stopping → idle
+  let session = 0;
+  let stream = null;
+  let audioCtx = null;
+  let timer = null;
+  let clip = null;    // { recorder, chunks, startedAt, spoke, lastVoiceAt }
+  let pending = 0;    // uploads in flight — onend waits for them
+  let controller = null;
+  const results = [];
+
+  const rec = {
+    lang: '',
+    continuous: false,
+    interimResults: false,
+    onresult: null,
+    onerror: null,
+    onend: null,
+    start,
+    stop,
+    abort
+  };
+
+  const emitError = (error) => rec.onerror?.({ error });
+
+  function maybeEnd() {
+    if (state !== 'stopping' || pending) return;
+    state = 'idle';
+    rec.onend?.();
+  }
+
+  // Release the mic; a clip still being recorded is discarded
+  function shutdown() {
+    if (clip) clip.spoke = false;
+    endClip();
+    clearInterval(timer);
+    stream?.getTracks().forEach(track => track.stop());
+    audioCtx?.close().catch(() => {});
+    stream = audioCtx = null;
+    state = 'stopping';
+    maybeEnd();
+  }
+
+  async function transcribe(blob) {
+    try {
+      const res = await fetch('/api/transcribe', {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ audio: await blobToDataURL(blob), language: rec.lang.split('-')[0] }),
+        signal: controller.signal
+      });
+      if (res.status === 503) {
+        unavailableUntil = Date.now() + UNAVAILABLE_MS;
+        emitError('service-not-allowed');
+        return shutdown();
+      }
+      if (!res.ok) throw new Error(`API error: ${res.status}`);
+      const { text } = await res.json();
+      if (!text) return;
+      results.push(Object.assign([{ transcript: text, confidence: 1 }], { isFinal: true }));
+      rec.onresult?.({ resultIndex: results.length - 1, results });
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.warn('Transcription failed:', err.message);
+      emitError('network');
+    }
+  }
+
+  function beginClip() {
+    const recorder = new MediaRecorder(stream);
+    clip = { recorder, chunks: [], startedAt: Date.now(), spoke: false, lastVoiceAt: 0 };
+    const { chunks } = clip;
+    recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+    recorder.start();
+  }
+
+  // Stop the clip being recorded, uploading it if anyone spoke in it
+  function endClip() {
+    const ended = clip;
+    clip = null;
+    if (!ended) return;
+    if (ended.spoke) {
+      pending++;
+      ended.recorder.onstop = () => {
+        transcribe(new Blob(ended.chunks, { type: ended.recorder.mimeType })).finally(() => {
+          pending--;
+          maybeEnd();
+        });
+      };
+    }
+    ended.recorder.stop();
+  }
+
+  function poll(analyser, samples) {
+    const now = Date.now();
+    if (level(analyser, samples) > LEVEL_THRESHOLD) {
+      clip.spoke = true;
+      clip.lastVoiceAt = now;
+    }
+    const age = now - clip.startedAt;
+    const done = clip.spoke ? now - clip.lastVoiceAt > SILENCE_MS || age > MAX_CLIP_MS : age > IDLE_CLIP_MS;
+    if (!done) return;
+
+    const spoke = clip.spoke;
+    endClip();
+    if (rec.continuous) return beginClip();
+    if (!spoke) emitError('no-speech');
+    shutdown();
+  }
+
+  async function open(id) {
+    let mic;
+    try {
+      mic = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (err) {
+      if (id !== session) return;
+      emitError(err.name === 'NotAllowedError' ? 'not-allowed' : 'audio-capture');
+      return shutdown();
+    }
+    if (id !== session || state !== 'listening') {
+      mic.getTracks().forEach(track => track.stop()); // stopped while waiting for the mic
+      return;
+    }
+
+    stream = mic;
+    audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+    const analyser = audioCtx.createAnalyser();
+    analyser.fftSize = 1024;
+    audioCtx.createMediaStreamSource(stream).connect(analyser);
+    const samples = new Float32Array(analyser.fftSize);
+    beginClip();
+    timer = setInterval(() => poll(analyser, samples), POLL_MS);
+  }
+
+  function start() {
+    if (state !== 'idle') throw new Error('Recognition has already started');
+    state = 'listening';
+    controller = new AbortController();
+    open(++session);
+  }
+
+  // Finish the utterance being spoken — its text still arrives before onend
+  function stop() {
+    if (state !== 'listening') return;
+    endClip();
+    shutdown();
+  }
+
+  function abort() {
+    if (state === 'idle') return;
+    controller.abort();
+    emitError('aborted');
+    shutdown();
+  }
+
+  return rec;
+}
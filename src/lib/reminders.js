@@ -0,0 +1,42 @@
+import { storedSessionId } from './session';
+import { isOnline } from './connectivity';
+import { authHeaders } from './apiKey';
+
+// Due reminders between chat turns. The server also hands them out with the
+// next /api/chat turn, but in Traditional mode that may be long after they
+// fell due — so while the app is open it asks POST /api/reminders every
+// POLL_MS. Each reminder is handed out once, by whichever comes first.
+
+const POLL_MS = 20000;
+
+async function takeDue(signal) {
+  const sessionId = storedSessionId();
+  if (!sessionId || !isOnline()) return [];
+  const res = await fetch('/api/reminders', {
+    method: 'POST',
+    headers: authHeaders({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify({ sessionId }),
+    signal
+  });
+  if (!res.ok) return []; // an unknown session is replaced on the next chat turn
+  return (await res.json()).reminders || [];
+}
+
+// Calls onReminder(text) for each reminder as it falls due. Returns a stop function.
+// The server forgets a reminder once it has handed it out, so stopping aborts
+// the check in flight rather than dropping its answer.
+export function watchReminders(onReminder) {
+  const controller = new AbortController();
+  const poll = async () => {
+    try {
+      for (const { text } of await takeDue(controller.signal)) onReminder(text);
+    } catch (err) {
+      if (err.name !== 'AbortError') console.warn('Reminder check failed:', err.message);
+    }
+  };
+  const timer = setInterval(poll, POLL_MS);
+  return () => {
+    controller.abort();
+    clearInterval(timer);
+  };
+}
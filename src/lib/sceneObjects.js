@@ -0,0 +1,46 @@
+import { t } from './i18n';
+
+// Structured scenes from /api/chat ({ structured: true } → an { objects } event):
+// [{ label, clock_position 1-12, distance, hazard }], distance being one of the
+// bands in server/tools/describeScene.js.
+
+const DISTANCE_PHRASES = {
+  'within reach': 'distanceReach',
+  'a few steps': 'distanceSteps',
+  'across the room': 'distanceRoom',
+  'far away': 'distanceFar'
+};
+const DISTANCE_ORDER = Object.keys(DISTANCE_PHRASES);
+
+// "Chair, 2 o'clock, a few steps away" — hazards lead with a warning
+export function describeObject({ label, clock_position: clock, distance, hazard }) {
+  const text = t('objectItem', {
+    label: label.charAt(0).toUpperCase() + label.slice(1),
+    clock: t('clockPosition', { n: clock }),
+    distance: t(DISTANCE_PHRASES[distance] || 'distanceSteps')
+  });
+  return hazard ? `${t('kindHazard')}: ${text}` : text;
+}
+
+// Hours apart on the clock face, 0-6
+function clockDistance(a, b) {
+  const diff = Math.abs(a - b) % 12;
+  return Math.min(diff, 12 - diff);
+}
+
+// Whether `next` is a meaningfully different scene from `prev`: something appeared
+// or disappeared, turned hazardous, moved more than an hour around the clock or
+// changed distance band. Model noise in wording doesn't count.
+export function sceneObjectsChanged(prev, next) {
+  if (!prev || !next) return true;
+  const byLabel = new Map(prev.map(o => [o.label.toLowerCase(), o]));
+  if (new Set(next.map(o => o.label.toLowerCase())).size !== byLabel.size) return true;
+
+  return next.some(o => {
+    const before = byLabel.get(o.label.toLowerCase());
+    return !before
+      || (o.hazard && !before.hazard)
+      || clockDistance(o.clock_position, before.clock_position) > 1
+      || DISTANCE_ORDER.indexOf(o.distance) !== DISTANCE_ORDER.indexOf(before.distance);
+  });
+}
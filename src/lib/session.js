@@ -0,0 +1,55 @@
+import { clearEventLog } from './eventLog';
+import { trackedFetch } from './connectivity';
+import { authHeaders } from './apiKey';
+
+// Server-held session (POST /api/sessions). The id is kept in localStorage so
+// history, scene memory and hazards survive reloads and mode switches.
+const STORAGE_KEY = 'sonar-session-id';
+
+let pending = null;
+
+// The current session's id without creating one — null before the first request
+export function storedSessionId() {
+  return localStorage.getItem(STORAGE_KEY);
+}
+
+export function getSessionId() {
+  const stored = localStorage.getItem(STORAGE_KEY);
+  if (stored) return Promise.resolve(stored);
+
+  if (!pending) {
+    pending = trackedFetch('/api/sessions', {
+      method: 'POST',
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
+      body: '{}'
+    })
+      .then(res => {
+        if (!res.ok) throw new Error(`API error: ${res.status}`);
+        return res.json();
+      })
+      .then(({ sessionId }) => {
+        localStorage.setItem(STORAGE_KEY, sessionId);
+        return sessionId;
+      })
+      .finally(() => { pending = null; });
+  }
+  return pending;
+}
+
+// Forget the stored id — the next getSessionId() creates a fresh session.
+// The spoken history belongs to the session, so it goes too.
+export function resetSession() {
+  localStorage.removeItem(STORAGE_KEY);
+  clearEventLog();
+}
+
+// Current server state for this session, or null if it no longer exists
+export async function fetchSession() {
+  const res = await fetch(`/api/sessions/${encodeURIComponent(await getSessionId())}`, { headers: authHeaders() });
+  if (res.status === 404) {
+    resetSession();
+    return null;
+  }
+  if (!res.ok) throw new Error(`API error: ${res.status}`);
+  return res.json();
+}
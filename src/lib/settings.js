@@ -0,0 +1,120 @@
+// User preferences for language, speech output and answer length, persisted in
+// localStorage. speech.js reads them for every utterance and chatApi.js sends
+// the language and verbosity with every /api/chat request, so changes apply immediately.
+
+const SETTINGS_KEY = 'sonar-settings';
+
+export const VERBOSITY_LEVELS = ['terse', 'normal', 'detailed'];
+
+// `name` is the English name, also accepted as a spoken settings command
+export const LANGUAGES = {
+  en: { label: 'English', name: 'english', locale: 'en-US' },
+  es: { label: 'Español', name: 'spanish', locale: 'es-ES' },
+  fr: { label: 'Français', name: 'french', locale: 'fr-FR' },
+  hi: { label: 'हिन्दी', name: 'hindi', locale: 'hi-IN' }
+};
+
+export const LIMITS = {
+  rate: { min: 0.5, max: 3, step: 0.25 },
+  pitch: { min: 0.5, max: 2, step: 0.1 },
+  volume: { min: 0, max: 1, step: 0.1 }
+};
+
+export const DEFAULT_SETTINGS = {
+  language: 'en',
+  voiceURI: '',   // '' = pick a preferred voice for the language automatically
+  rate: 1,
+  pitch: 1,
+  volume: 1,
+  verbosity: 'normal',
+  modelIntents: true, // ask /api/intent when local command rules don't match
+  framing: true,      // check light, blur and aim before a capture (framing.js)
+  serverVoice: false  // speak with /api/tts audio instead of the browser voice (ttsPlayer.js)
+};
+
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+const round = (value) => Math.round(value * 100) / 100;
+
+// Coerce stored or user-supplied values into range; unknown keys are dropped
+function normalize(raw) {
+  const settings = { ...DEFAULT_SETTINGS };
+  if (Object.hasOwn(LANGUAGES, raw?.language ?? '')) settings.language = raw.language;
+  if (typeof raw?.voiceURI === 'string') settings.voiceURI = raw.voiceURI;
+  for (const key of Object.keys(LIMITS)) {
+    const value = Number(raw?.[key]);
+    if (raw?.[key] !== undefined && Number.isFinite(value)) settings[key] = round(clamp(value, LIMITS[key]));
+  }
+  if (VERBOSITY_LEVELS.includes(raw?.verbosity)) settings.verbosity = raw.verbosity;
+  if (typeof raw?.modelIntents === 'boolean') settings.modelIntents = raw.modelIntents;
+  if (typeof raw?.framing === 'boolean') settings.framing = raw.framing;
+  if (typeof raw?.serverVoice === 'boolean') settings.serverVoice = raw.serverVoice;
+  return settings;
+}
+
+let cached = null;
+
+export function getSettings() {
+  if (!cached) {
+    try {
+      cached = normalize(JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}'));
+    } catch {
+      cached = { ...DEFAULT_SETTINGS };
+    }
+  }
+  return cached;
+}
+
+export function saveSettings(patch) {
+  cached = normalize({ ...getSettings(), ...patch });
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(cached));
+  return cached;
+}
+
+export function resetSettings() {
+  localStorage.removeItem(SETTINGS_KEY);
+  cached = { ...DEFAULT_SETTINGS };
+  return cached;
+}
+
+// Map a spoken command on the settings page to a settings patch, e.g.
+// "faster", "rate 2.5", "lower pitch", "quieter", "terse", "next voice", "spanish".
+// `grammar` holds the patterns for the user's language (getGrammar().settings
+// in i18n.js). Returns { patch } or { action: 'reset' | 'test' | 'read' }, or
+// null if not understood.
+export function parseSettingsCommand(text, grammar, settings, voices = []) {
+  const command = text.normalize('NFC').toLowerCase().trim();
+
+  // A language's English name and its own name work whatever the current language
+  const language = Object.keys(LANGUAGES).find(code => grammar.languages[code].test(command) ||
+    command.includes(LANGUAGES[code].name) || command.includes(LANGUAGES[code].label.toLowerCase()));
+  if (language) return { patch: { language, voiceURI: '' } };
+
+  const level = VERBOSITY_LEVELS.find(v => grammar.verbosity[v].test(command));
+  if (level) return { patch: { verbosity: level } };
+
+  if (grammar.autoVoice.test(command)) return { patch: { voiceURI: '' } };
+  if (grammar.nextVoice.test(command)) {
+    if (!voices.length) return null;
+    const i = voices.findIndex(v => v.voiceURI === settings.voiceURI);
+    return { patch: { voiceURI: voices[(i + 1) % voices.length].voiceURI } };
+  }
+
+  if (grammar.reset.test(command)) return { action: 'reset' };
+  if (grammar.test.test(command)) return { action: 'test' };
+  if (grammar.read.test(command)) return { action: 'read' };
+
+  let key = Object.keys(LIMITS).find(k => grammar.named[k].test(command));
+  // Recognizers in comma-decimal languages write "2,5"
+  const number = Number(command.match(/\d+([.,]\d+)?/)?.[0].replace(',', '.'));
+  if (key && Number.isFinite(number)) {
+    // "volume 80" reads naturally as a percentage
+    return { patch: { [key]: key === 'volume' && number > 1 ? number / 100 : number } };
+  }
+
+  const up = grammar.up.test(command);
+  const down = grammar.down.test(command);
+  if (up === down) return null;
+  key ||= Object.keys(LIMITS).find(k => grammar.implied[k].test(command));
+  if (!key) return null;
+  return { patch: { [key]: settings[key] + (up ? LIMITS[key].step : -LIMITS[key].step) } };
+}
@@ -0,0 +1,200 @@
+import { getSettings } from './settings';
+import { getLanguage, getLocale } from './i18n';
+import { playSpeech, prefetchSpeech, stopSpeech, serverVoiceAvailable } from './ttsPlayer';
+
+// Single speech manager for both modes. Everything spoken goes through one
+// priority queue instead of ad-hoc speechSynthesis.cancel() calls:
+//
+//   hazard > answer > scene > status
+//
+// - A higher-priority item preempts what is speaking. An interrupted answer is
+//   re-queued and resumes afterwards; interrupted scenes/status are dropped.
+// - Equal or lower priority waits its turn (FIFO within a priority).
+// - Only the newest scene description is kept; scenes and status messages that
+//   waited too long are dropped as stale.
+// - Identical text already queued (or just spoken, for scene/status) is de-duplicated.
+// - speak() returns a promise resolving to 'done', 'cancelled' or 'dropped'.
+// Language, voice, rate, pitch and volume come from the user's settings (settings.js).
+// With the server voice setting on — or no speechSynthesis at all — items are
+// played from /api/tts (ttsPlayer.js), falling back to the browser voice on failure.
+
+export const PRIORITY = { status: 0, scene: 1, answer: 2, hazard: 3 };
+
+const MAX_WAIT_MS = { scene: 5000, status: 10000 };
+const RECENT_MS = 5000;
+
+let queue = [];      // pending items, highest priority first
+let current = null;  // item being spoken (or playing its prelude)
+let idleWaiters = [];
+const recentlySpoken = new Map();
+
+const PREFERRED_VOICES = ['Google US', 'Google', 'Zira', 'Samantha'];
+
+// Voices that speak `language` (a settings language code such as 'es')
+export function voicesForLanguage(voices, language) {
+  return voices.filter(v => v.lang.toLowerCase().startsWith(language));
+}
+
+// The voice chosen in settings if it speaks the language, else a preferred one.
+// Null when no voice for the language is installed — the browser then picks by utt.lang.
+export function getPreferredVoice() {
+  const voices = voicesForLanguage(window.speechSynthesis?.getVoices() || [], getLanguage());
+  const chosen = voices.find(v => v.voiceURI === getSettings().voiceURI);
+  if (chosen) return chosen;
+  for (const name of PREFERRED_VOICES) {
+    const voice = voices.find(v => v.name.includes(name));
+    if (voice) return voice;
+  }
+  return voices[0] || null;
+}
+
+function settle(item, result) {
+  if (item.settled) return;
+  item.settled = true;
+  item.resolve(result);
+}
+
+// `front` places the item ahead of others with the same priority
+function insert(item, front = false) {
+  const p = PRIORITY[item.priority];
+  const i = queue.findIndex(q => (front ? PRIORITY[q.priority] <= p : PRIORITY[q.priority] < p));
+  if (i === -1) queue.push(item);
+  else queue.splice(i, 0, item);
+}
+
+function dropQueued(predicate, result = 'cancelled') {
+  queue = queue.filter(item => {
+    if (!predicate(item)) return true;
+    settle(item, result);
+    return false;
+  });
+}
+
+function stopCurrent() {
+  const item = current;
+  current = null;
+  item?.controller?.abort(); // a server voice clip still loading must not play later
+  stopSpeech();
+  window.speechSynthesis?.cancel();
+  return item;
+}
+
+function useServerVoice() {
+  return serverVoiceAvailable() && (getSettings().serverVoice || !window.speechSynthesis);
+}
+
+// Fetch the next item's audio while the current one plays, so sentences run back to back
+function prefetchNext() {
+  if (queue.length && useServerVoice()) prefetchSpeech(queue[0].text, { rate: getSettings().rate });
+}
+
+function next() {
+  if (current) return;
+  while (queue.length) {
+    const item = queue.shift();
+    const maxWait = MAX_WAIT_MS[item.priority];
+    if (maxWait && Date.now() - item.queuedAt > maxWait) {
+      settle(item, 'dropped');
+      continue;
+    }
+    start(item);
+    return;
+  }
+  idleWaiters.forEach(resolve => resolve());
+  idleWaiters = [];
+}
+
+async function start(item) {
+  current = item;
+  if (item.prelude) {
+    try { await item.prelude(); } catch {}
+    if (current !== item) return; // preempted or cancelled during the prelude
+  }
+
+  // Handlers for a cancelled utterance fire after it has been replaced — ignore them
+  const finish = () => {
+    if (current !== item) return;
+    current = null;
+    recentlySpoken.set(item.key, Date.now());
+    settle(item, 'done');
+    next();
+  };
+
+  const { rate, pitch, volume } = getSettings();
+  if (useServerVoice()) {
+    prefetchNext();
+    item.controller = new AbortController();
+    try {
+      await playSpeech(item.text, { rate, volume, signal: item.controller.signal });
+      return finish();
+    } catch {
+      if (current !== item) return;
+    }
+  }
+  if (!window.speechSynthesis) return finish(); // nothing can speak — don't stall the queue
+
+  const utt = new SpeechSynthesisUtterance(item.text);
+  utt.rate = rate;
+  utt.pitch = pitch;
+  utt.volume = volume;
+  const voice = getPreferredVoice();
+  utt.lang = voice?.lang || getLocale();
+  if (voice) utt.voice = voice;
+  utt.onend = finish;
+  utt.onerror = finish;
+  window.speechSynthesis.speak(utt);
+}
+
+// Options: priority ('status' default), interrupt (cancel everything at or
+// below this priority first), prelude (async fn run just before speaking, e.g. an earcon)
+export function speak(text, { priority = 'status', interrupt = false, prelude } = {}) {
+  const clean = text?.trim();
+  if (!clean) return Promise.resolve('dropped');
+
+  const key = `${priority}:${clean.toLowerCase().replace(/\s+/g, ' ')}`;
+  const duplicate = [current, ...queue].find(item => item?.key === key);
+  if (duplicate) return duplicate.promise;
+  if (PRIORITY[priority] <= PRIORITY.scene && Date.now() - (recentlySpoken.get(key) || 0) < RECENT_MS) {
+    return Promise.resolve('dropped');
+  }
+
+  const item = { text: clean, priority, key, prelude, queuedAt: Date.now() };
+  item.promise = new Promise(resolve => { item.resolve = resolve; });
+
+  if (interrupt) cancelUpTo(priority);
+  else if (priority === 'scene') dropQueued(q => q.priority === 'scene', 'dropped');
+
+  if (current && PRIORITY[current.priority] < PRIORITY[priority]) {
+    const preempted = stopCurrent();
+    if (preempted.priority === 'answer') insert(preempted, true);
+    else settle(preempted, 'cancelled');
+  }
+
+  insert(item);
+  if (current) prefetchNext();
+  next();
+  return item.promise;
+}
+
+function cancelUpTo(maxPriority) {
+  const max = PRIORITY[maxPriority];
+  dropQueued(item => PRIORITY[item.priority] <= max);
+  if (current && PRIORITY[current.priority] <= max) settle(stopCurrent(), 'cancelled');
+}
+
+// Cancel current and queued speech at or below `maxPriority` (default: everything)
+export function cancelSpeech(maxPriority = 'hazard') {
+  cancelUpTo(maxPriority);
+  next();
+}
+
+// True while anything (optionally: anything of this priority) is being spoken
+export function isSpeaking(priority) {
+  return Boolean(current && (!priority || current.priority === priority));
+}
+
+// Resolves once nothing is speaking or queued
+export function whenIdle() {
+  if (!current && !queue.length) return Promise.resolve();
+  return new Promise(resolve => idleWaiters.push(resolve));
+}
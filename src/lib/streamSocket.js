@@ -0,0 +1,141 @@
+import { getSessionId, resetSession } from './session';
+import { getLastLocation } from './location';
+import { getSettings } from './settings';
+import { postChat, readSSE, streamError } from './chatApi';
+import { probe } from './connectivity';
+import { getApiKey } from './apiKey';
+
+// Streaming mode's connection to the server: frames, questions and pause/resume
+// on one WebSocket (/api/stream, see server/stream.js) instead of a POST per
+// frame. Where the socket can't open — serverless deploys, proxies without
+// WebSocket support — turns go over POST /api/chat as before, and the socket is
+// tried again later.
+
+const CONNECT_TIMEOUT_MS = 3000;
+const RETRY_MS = 30000;
+
+const abortError = () => new DOMException('The turn was cancelled', 'AbortError');
+
+// `onPush` receives hazards and reminders that arrive for turns no longer
+// waited on (e.g. a frame cancelled by a question) — they are still announced.
+export function createStreamChannel({ onPush } = {}) {
+  let ws = null;
+  let opening = null;
+  let failedAt = 0;
+  let closed = false;
+  let seq = 0;
+  const pending = new Map(); // seq → { onEvent, resolve, reject }
+  let lastControl = null;    // latest pause/resume, replayed on every connect
+
+  const sendControl = (socket, command) => socket.send(JSON.stringify({ seq: ++seq, type: 'control', command }));
+
+  function dispatch(msg) {
+    const turn = pending.get(msg.re);
+    if (!turn) {
+      if (msg.hazard || msg.reminder) onPush?.(msg);
+      return;
+    }
+    if (msg.error || msg.cancelled) {
+      pending.delete(msg.re);
+      if (msg.error && msg.status >= 500) probe(); // same check as a 5xx over HTTP
+      turn.reject(msg.cancelled ? abortError() : streamError(msg));
+      return;
+    }
+    turn.onEvent(msg);
+    if (msg.done) {
+      pending.delete(msg.re);
+      turn.resolve();
+    }
+  }
+
+  // The open socket, or null if it can't be used right now
+  function connect() {
+    if (ws) return Promise.resolve(ws);
+    if (closed || !window.WebSocket || Date.now() - failedAt < RETRY_MS) return Promise.resolve(null);
+    if (opening) return opening;
+
+    opening = new Promise(resolve => {
+      // Browsers can't set headers on a WebSocket, so the access key goes in the URL
+      const key = getApiKey();
+      const socket = new WebSocket(`${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}/api/stream${key ? `?key=${encodeURIComponent(key)}` : ''}`);
+      const timer = setTimeout(() => socket.close(), CONNECT_TIMEOUT_MS);
+      socket.onopen = () => {
+        clearTimeout(timer);
+        ws = socket;
+        if (lastControl) sendControl(socket, lastControl);
+        resolve(socket);
+      };
+      socket.onmessage = (e) => {
+        try { dispatch(JSON.parse(e.data)); } catch {}
+      };
+      socket.onclose = () => {
+        clearTimeout(timer);
+        if (ws === socket) {
+          ws = null;
+          if (!closed) probe(); // a dropped socket is often the first sign of a lost connection
+        } else {
+          failedAt = Date.now();
+        }
+        resolve(null);
+        // Same error fetch gives for a dropped connection, so callers treat it as offline
+        for (const turn of pending.values()) turn.reject(new TypeError('Stream connection lost'));
+        pending.clear();
+      };
+    }).finally(() => { opening = null; });
+    return opening;
+  }
+
+  function request(socket, type, body, { signal, onEvent }) {
+    if (signal?.aborted) return Promise.reject(abortError());
+    const id = ++seq;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { onEvent, resolve, reject });
+      signal?.addEventListener('abort', () => {
+        if (!pending.delete(id)) return;
+        if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify({ seq: ++seq, type: 'cancel', re: id }));
+        reject(abortError());
+      }, { once: true });
+      socket.send(JSON.stringify({ seq: id, type, ...body }));
+    });
+  }
+
+  // Run a 'frame' or 'question' turn, calling onEvent with each chat event
+  // ({ text }, { hazard }, { objects } …). Resolves after { done }; rejects with
+  // an AbortError when cancelled — by `signal` or by the server for a newer question.
+  async function turn(type, body, { signal, onEvent }) {
+    const socket = await connect();
+    if (!socket) return readSSE(await postChat(body, { signal }), onEvent);
+
+    const send = async () => request(socket, type, {
+      language: getSettings().language,
+      verbosity: getSettings().verbosity,
+      ...body,
+      sessionId: await getSessionId(),
+      location: getLastLocation()
+    }, { signal, onEvent });
+
+    try {
+      return await send();
+    } catch (err) {
+      if (err.status !== 404) throw err;
+      resetSession(); // the server forgot the session — same retry as postChat
+      return send();
+    }
+  }
+
+  return {
+    frame: (body, options) => turn('frame', body, options),
+    question: (body, options) => turn('question', body, options),
+
+    // pause | resume — sent now if connected, else once the socket opens
+    control(command) {
+      lastControl = command;
+      if (ws?.readyState === WebSocket.OPEN) sendControl(ws, command);
+    },
+
+    close() {
+      closed = true;
+      ws?.close();
+    }
+  };
+}
@@ -0,0 +1,125 @@
+import { authHeaders } from './apiKey';
+
+// Server voice: sentences synthesized by /api/tts and played through Web Audio,
+// for devices whose speechSynthesis is missing or unreliable (Android WebViews
+// on glasses). speech.js decides when to use it and falls back to the browser
+// voice whenever this throws.
+//
+// Each sentence is a separate clip, downloaded and decoded whole before it
+// plays. Clips for the next queued sentences are fetched while the current one
+// plays (prefetch), so an answer streamed from /api/chat plays without gaps.
+
+const MAX_CACHED = 8;
+const RESUME_TIMEOUT_MS = 300;
+const UNAVAILABLE_MS = 60000; // after a failure, skip the server voice this long
+
+let ctx = null;
+let source = null;
+let unavailableUntil = 0;
+const cache = new Map(); // `${rate}:${text}` → Promise<AudioBuffer>
+
+function audioContext() {
+  if (!ctx) ctx = new (window.AudioContext || window.webkitAudioContext)();
+  return ctx;
+}
+
+// Autoplay policy: a context created before any user gesture stays suspended.
+// Don't wait on it forever — the browser voice may still be allowed to speak.
+async function resumeAudio(ac) {
+  if (ac.state === 'running') return;
+  await Promise.race([ac.resume(), new Promise(resolve => setTimeout(resolve, RESUME_TIMEOUT_MS))]);
+  if (ac.state !== 'running') throw new Error('Audio playback is blocked');
+}
+
+async function fetchAudio(text, rate, signal) {
+  const res = await fetch('/api/tts', {
+    method: 'POST',
+    headers: authHeaders({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify({ text, rate }),
+    signal
+  });
+  if (!res.ok) throw new Error(`TTS error: ${res.status}`);
+  return audioContext().decodeAudioData(await res.arrayBuffer());
+}
+
+function markUnavailable(err) {
+  console.warn('Server voice unavailable, using the browser voice:', err.message);
+  unavailableUntil = Date.now() + UNAVAILABLE_MS;
+  cache.clear();
+}
+
+export function serverVoiceAvailable() {
+  return Date.now() >= unavailableUntil && Boolean(window.AudioContext || window.webkitAudioContext);
+}
+
+// `signal` cancels the download only if this call starts it — a prefetch keeps going
+function load(text, rate, signal) {
+  const key = `${rate}:${text}`;
+  if (!cache.has(key)) {
+    const audio = fetchAudio(text, rate, signal);
+    audio.catch(() => cache.delete(key));
+    cache.set(key, audio);
+    if (cache.size > MAX_CACHED) cache.delete(cache.keys().next().value);
+  }
+  return cache.get(key);
+}
+
+// Settles like `promise`, or rejects as soon as `signal` aborts
+function untilAborted(promise, signal) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new DOMException('Speech was stopped', 'AbortError'));
+    if (signal.aborted) return onAbort();
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+// Start fetching a sentence that will be spoken soon
+export function prefetchSpeech(text, { rate = 1 } = {}) {
+  if (serverVoiceAvailable()) load(text, rate).catch(() => {});
+}
+
+// Resolves when the sentence has finished playing or was stopped; rejects if the
+// server voice can't be used, so the caller can fall back. Pitch isn't supported.
+// Aborting `signal` while the audio is still loading resolves without playing it,
+// so a superseded sentence can't start over the one that replaced it.
+export async function playSpeech(text, { rate = 1, volume = 1, signal } = {}) {
+  if (!serverVoiceAvailable()) throw new Error('Server voice unavailable');
+  let buffer;
+  try {
+    const ac = audioContext();
+    await resumeAudio(ac);
+    if (signal?.aborted) return;
+    buffer = await untilAborted(load(text, rate, signal), signal);
+  } catch (err) {
+    if (signal?.aborted) return;
+    markUnavailable(err);
+    throw err;
+  }
+  cache.delete(`${rate}:${text}`);
+
+  const ac = audioContext();
+  const node = ac.createBufferSource();
+  const gain = ac.createGain();
+  node.buffer = buffer;
+  gain.gain.value = volume;
+  node.connect(gain);
+  gain.connect(ac.destination);
+  stopSpeech();
+  source = node;
+  return new Promise(resolve => {
+    node.onended = () => {
+      if (source === node) source = null;
+      resolve();
+    };
+    node.start();
+  });
+}
+
+// Stop the sentence being played (its playSpeech promise resolves)
+export function stopSpeech() {
+  const node = source;
+  source = null;
+  try { node?.stop(); } catch {}
+}
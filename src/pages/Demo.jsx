@@ -1,7 +1,41 @@
 import { useState, useRef, useEffect, useCallback } from 'react';
 import { motion } from 'framer-motion';
+import { fetchSession } from '../lib/session';
+import { postChat, postRead, readSSE, toolStatusText, isAbortError, limitMessage } from '../lib/chatApi';
+import { announceHazard } from '../lib/hazardAlerts';
+import { speak, cancelSpeech, whenIdle } from '../lib/speech';
+import { t, getLocale } from '../lib/i18n';
+import { recognizeIntent, intentArgument } from '../lib/intents';
+import { createRecognition } from '../lib/recognition';
+import { logEvent, HISTORY_ACTIONS, handleHistoryKey } from '../lib/eventLog';
+import { getSettings, saveSettings, LIMITS } from '../lib/settings';
+import { createDocumentReader } from '../lib/documentReader';
+import { guidedCapture } from '../lib/framing';
+import {
+  watchConnectivity, onConnectivityChange, isOnline, isNetworkError,
+  offlineReply, queueQuestion, takeQueuedQuestions
+} from '../lib/connectivity';
+import { watchReminders } from '../lib/reminders';
 import ModeToggle from '../components/ModeToggle';
 import StreamingMode from '../components/StreamingMode';
+import SceneObjectList from '../components/SceneObjectList';
+
+// Intents answered without the model, and the spoken confirmation for the rest
+const LOCAL_INTENTS = ['stop', 'repeat', 'previous', 'next', 'when', 'slower', 'faster', 'help'];
+const INTENT_CONFIRMATIONS = { describe: 'intentDescribe', read_text: 'intentRead', recall: 'intentRecall' };
+
+// Asked while offline, these are answered once the connection returns; describe and
+// read need a fresh frame, so an answer later would be about a different scene
+const QUEUEABLE_INTENTS = ['question', 'recall'];
+
+// Read mode keys: R repeat, [ back, ] forward, S spell, Enter read a new frame
+const READ_KEYS = { r: 'repeat', '[': 'previous', ']': 'next', s: 'spell', enter: 'read_text' };
+const EDGE_PHRASES = { top: 'edgeTop', bottom: 'edgeBottom', left: 'edgeLeft', right: 'edgeRight' };
+
+// What the framing assistant looks for, per capturing intent (describe frames the whole scene)
+const READ_TARGET = 'the text — a label, sign, page or screen';
+const framingTarget = (intent, spokenText) =>
+  intent === 'read_text' ? READ_TARGET : intent === 'question' ? `what this question is about: "${spokenText}"` : null;
 
 // Stock sample media (images via Unsplash CDN with CORS support, videos via Pexels)
 const SAMPLES = [
@@ -54,7 +88,7 @@ export default function Demo() {
 
   // Traditional mode state
   const [sceneMemory, setSceneMemory] = useState(null);
-  const [conversationHistory, setConversationHistory] = useState([]);
+  const [sceneObjects, setSceneObjects] = useState(null);
   const [isListening, setIsListening] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
   const [currentStatus, setCurrentStatus] = useState('Ready to listen');
@@ -64,32 +98,16 @@ export default function Demo() {
 
   const [selectedSample, setSelectedSample] = useState(null);
 
+  // Read mode state — the reader holds the paragraphs, readView mirrors it for rendering
+  const [docReader] = useState(createDocumentReader);
+  const [readView, setReadView] = useState({ paragraphs: [], index: 0 });
+
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
   const recognitionRef = useRef(null);
   const streamRef = useRef(null);
   const sampleImageDataRef = useRef(null); // stores base64 for selected sample image
-
-  // Speak a single utterance and await completion (for one-off messages)
-  const speak = useCallback((text, priority = false) => {
-    return new Promise((resolve) => {
-      if (priority) window.speechSynthesis.cancel();
-      const utterance = new SpeechSynthesisUtterance(text);
-      utterance.rate = 1.0;
-      utterance.lang = 'en-US';
-      const voices = window.speechSynthesis.getVoices();
-      const english = voices.filter(v => v.lang.startsWith('en'));
-      const voice = english.find(v =>
-        v.name.includes('Google US') ||
-        v.name.includes('Zira') ||
-        v.name.includes('Samantha')
-      ) || english[0] || voices[0];
-      if (voice) utterance.voice = voice;
-      utterance.onend = resolve;
-      utterance.onerror = resolve;
-      window.speechSynthesis.speak(utterance);
-    });
-  }, []);
+  const requestAbortRef = useRef(null);     // the /api/chat or /api/read request in flight
 
   const initializeCamera = useCallback(async () => {
     try {
@@ -129,6 +147,13 @@ export default function Demo() {
     }
   }, [cameraReady]);
 
+  // Live camera frames go through the framing assistant first; samples can't be re-aimed
+  const captureGuided = useCallback((target) => {
+    if (sampleImageDataRef.current || !streamRef.current) return captureImage();
+    setCurrentStatus('Framing...');
+    return guidedCapture({ source: videoRef.current, capture: captureImage, target, onHint: setCurrentStatus });
+  }, [captureImage]);
+
   // Load a sample image or video into the viewport for testing
   const selectSample = useCallback((sample) => {
     setSelectedSample(sample.id);
@@ -185,103 +210,203 @@ export default function Demo() {
     initializeCamera();
   }, [initializeCamera]);
 
-  // Queue a sentence to TTS without waiting — for streaming sentence-by-sentence playback
-  const getPreferredVoice = useCallback(() => {
-    const voices = window.speechSynthesis.getVoices();
-    const english = voices.filter(v => v.lang.startsWith('en'));
-    return english.find(v =>
-      v.name.includes('Google US') ||
-      v.name.includes('Zira') ||
-      v.name.includes('Samantha')
-    ) || english[0] || voices[0];
+  // One request at a time: starting a new one cancels the one in flight, and the
+  // server stops generating for it
+  const newRequestSignal = useCallback(() => {
+    requestAbortRef.current?.abort();
+    requestAbortRef.current = new AbortController();
+    return requestAbortRef.current.signal;
   }, []);
 
-  const speakQueued = useCallback((text) => {
-    if (!text.trim()) return;
-    const utt = new SpeechSynthesisUtterance(text.trim());
-    utt.rate = 1.0;
-    utt.lang = 'en-US';
-    const voice = getPreferredVoice();
-    if (voice) utt.voice = voice;
-    window.speechSynthesis.speak(utt);
-  }, [getPreferredVoice]);
-
-  // Stream response from /api/chat, speaking sentences as they arrive
+  // Stream response from /api/chat, speaking sentences as they arrive. Visual
+  // queries are structured: the scene also comes back as an object list.
   const streamResponse = useCallback(async (userMessage, image = null) => {
-    window.speechSynthesis.cancel();
-
-    const res = await fetch('/api/chat', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        message: userMessage,
-        image,
-        sceneContext: image ? null : sceneMemory,
-        conversationHistory
-      })
-    });
-    if (!res.ok) throw new Error(`API error: ${res.status}`);
+    cancelSpeech('answer');
+
+    // History and scene memory are held by the server session
+    const res = await postChat({ message: userMessage, image, structured: Boolean(image) }, { signal: newRequestSignal() });
 
-    const reader = res.body.getReader();
-    const decoder = new TextDecoder();
     let fullText = '';
     let buffer = '';
+    let objects = null;
 
-    // Flush complete sentences from buffer to TTS queue
+    // Flush complete sentences from buffer to the speech queue
+    const speakSentence = (text) => speak(text, { priority: 'answer' });
     const flush = (final = false) => {
       if (final) {
-        if (buffer.trim()) speakQueued(buffer.trim());
+        if (buffer.trim()) speakSentence(buffer.trim());
         buffer = '';
         return;
       }
       // Only speak a sentence when followed by whitespace (avoids cutting mid-sentence)
       let idx;
       while ((idx = buffer.search(/[.!?]\s/)) !== -1) {
-        speakQueued(buffer.slice(0, idx + 1));
+        speakSentence(buffer.slice(0, idx + 1));
         buffer = buffer.slice(idx + 1).trimStart();
       }
     };
 
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-      for (const line of decoder.decode(value, { stream: true }).split('\n')) {
-        if (!line.startsWith('data: ')) continue;
-        try {
-          const d = JSON.parse(line.slice(6));
-          if (d.text) { fullText += d.text; buffer += d.text; flush(); }
-          if (d.done) flush(true);
-        } catch {}
+    await readSSE(res, (d) => {
+      if (d.hazard) announceHazard(d);
+      if (d.reminder) {
+        logEvent('reminder', d.reminder);
+        speakSentence(t('reminder', { text: d.reminder }));
       }
-    }
+      if (d.status === 'running') setCurrentStatus(toolStatusText(d.tool));
+      if (d.objects) objects = d.objects;
+      if (d.text) { fullText += d.text; buffer += d.text; flush(); }
+      if (d.done) flush(true);
+    });
     flush(true);
 
     // Update scene memory if this was a visual query
-    if (image) setSceneMemory(fullText);
-
-    setConversationHistory(prev => [
-      ...prev.slice(-6),
-      { role: 'user', content: userMessage },
-      { role: 'assistant', content: fullText }
-    ]);
+    if (image) {
+      setSceneMemory(fullText);
+      setSceneObjects(objects);
+    }
 
     return fullText;
-  }, [sceneMemory, conversationHistory, speakQueued]);
+  }, [newRequestSignal]);
+
+  // Intents handled on the device — no model call, lastResponse is left alone.
+  // Repeat and back/forward read from the shared event log, not lastResponse.
+  const runLocalIntent = useCallback(async (intent) => {
+    if (intent === 'stop') {
+      requestAbortRef.current?.abort();
+      cancelSpeech();
+      await speak(t('intentStop'), { interrupt: true });
+    } else if (HISTORY_ACTIONS[intent]) {
+      await HISTORY_ACTIONS[intent]();
+    } else if (intent === 'slower' || intent === 'faster') {
+      const step = intent === 'slower' ? -LIMITS.rate.step : LIMITS.rate.step;
+      const { rate } = saveSettings({ rate: getSettings().rate + step });
+      await speak(t('rate', { value: rate }), { priority: 'answer', interrupt: true });
+    } else if (intent === 'help') {
+      await speak(t('help'), { priority: 'answer', interrupt: true });
+    }
+  }, []);
 
-  const processUserInput = useCallback(async (spokenText) => {
+  const syncReadView = useCallback(() => {
+    setReadView({ paragraphs: docReader.paragraphs, index: docReader.index });
+  }, [docReader]);
+
+  // Read mode: transcribe a fresh frame verbatim via /api/read. The first paragraph is
+  // spoken as soon as it is complete; the rest is paged through with next/back.
+  const readDocument = useCallback(async () => {
+    const image = cameraReady ? await captureGuided(READ_TARGET) : null;
+    if (!image) {
+      const msg = t('noCamera');
+      setLastResponse(msg);
+      await speak(msg, { priority: 'answer', interrupt: true });
+      return;
+    }
+
+    cancelSpeech('answer');
+    speak(t('intentRead'), { interrupt: true });
+    setCurrentStatus('Reading...');
+    docReader.reset();
+    syncReadView();
+
+    const res = await postRead(image, { signal: newRequestSignal() });
+    let text = '';
+    let spoken = false;
+    let result = null;
+    await readSSE(res, (d) => {
+      if (d.text) {
+        text += d.text;
+        docReader.setText(text);
+        syncReadView();
+        if (!spoken && docReader.count > 1) {
+          spoken = true;
+          docReader.speakCurrent();
+        }
+      }
+      if (d.done) result = d;
+    });
+    if (!result) throw new Error('API error: stream ended'); // readSSE throws on an { error } event
+
+    if (result.noText) {
+      docReader.reset();
+      syncReadView();
+      const msg = t('noText');
+      setLastResponse(msg);
+      await speak(msg, { priority: 'answer', interrupt: true });
+      return;
+    }
+
+    if (!spoken) docReader.speakCurrent();
+    const notes = [];
+    if (result.cutOff?.length) {
+      notes.push(t('textCutOff', { edges: result.cutOff.map(edge => t(EDGE_PHRASES[edge])).join(', ') }));
+    }
+    const remaining = docReader.count - 1;
+    if (remaining > 0) notes.push(remaining === 1 ? t('oneMoreParagraph') : t('moreParagraphs', { n: remaining }));
+    if (notes.length) speak(notes.join(' '), { priority: 'answer' });
+    logEvent('answer', text);
+
+    setCurrentStatus('Speaking...');
+    await whenIdle();
+  }, [cameraReady, captureGuided, docReader, syncReadView, newRequestSignal]);
+
+  // Read mode: paging and spelling act on the transcribed text; history, rate and
+  // stop work as in Traditional mode; anything else reads a new frame
+  const runReadIntent = useCallback(async (intent, spokenText = '') => {
+    if (intent === 'next' || intent === 'previous') {
+      const spoken = docReader.step(intent === 'next' ? 1 : -1);
+      syncReadView();
+      await spoken;
+    } else if (intent === 'repeat') {
+      await docReader.speakCurrent();
+    } else if (intent === 'spell') {
+      await docReader.spell(intentArgument(spokenText, 'spell'));
+    } else if (intent === 'help') {
+      await speak(t('readHelp'), { priority: 'answer', interrupt: true });
+    } else if (LOCAL_INTENTS.includes(intent)) {
+      await runLocalIntent(intent);
+    } else if (!isOnline()) {
+      await speak(t('offline'), { priority: 'answer', interrupt: true });
+    } else {
+      await readDocument();
+    }
+  }, [docReader, syncReadView, runLocalIntent, readDocument]);
+
+  const processUserInput = useCallback(async (spokenText, knownIntent = null) => {
     setIsProcessing(true);
     setCurrentStatus('Processing...');
-
-    const lower = spokenText.toLowerCase();
-    const needsCapture = ['around', 'where am i', 'describe', 'see', 'look', 'scan', 'front', 'surround']
-      .some(word => lower.includes(word));
+    let intent = knownIntent;
 
     try {
-      // Guard: no scene and no visual query
+      if (!intent) ({ intent } = await recognizeIntent(spokenText));
+
+      if (mode === 'read') {
+        await runReadIntent(intent, spokenText);
+        setCurrentStatus('Ready to listen');
+        return;
+      }
+
+      if (LOCAL_INTENTS.includes(intent)) {
+        await runLocalIntent(intent);
+        setCurrentStatus('Ready to listen');
+        return;
+      }
+
+      // Offline: say what we last described; questions are retried when the connection returns
+      if (!isOnline()) {
+        const msg = offlineReply(spokenText, { queue: QUEUEABLE_INTENTS.includes(intent) });
+        setLastResponse(msg);
+        await speak(msg, { priority: 'answer', interrupt: true });
+        setCurrentStatus('Ready to listen');
+        return;
+      }
+
+      // Describe and read need a fresh frame; a free-form question only when there is no scene yet
+      const needsCapture = intent === 'describe' || intent === 'read_text' || (intent === 'question' && !sceneMemory);
+
+      // Guard: nothing in memory to recall from
       if (!needsCapture && !sceneMemory) {
-        const msg = "I don't have any scene in memory yet. Try asking 'What's around me?'";
+        const msg = t('noScene');
         setLastResponse(msg);
-        await speak(msg, true);
+        await speak(msg, { priority: 'answer', interrupt: true });
         setCurrentStatus('Ready to listen');
         return;
       }
@@ -289,51 +414,74 @@ export default function Demo() {
       let image = null;
       if (needsCapture) {
         if (!cameraReady) {
-          const msg = 'Camera is not available. Please allow camera access and refresh.';
+          const msg = t('noCamera');
           setLastResponse(msg);
-          await speak(msg, true);
+          await speak(msg, { priority: 'answer', interrupt: true });
           setCurrentStatus('Ready to listen');
           return;
         }
         setCurrentStatus('Capturing...');
-        image = captureImage();
+        image = await captureGuided(framingTarget(intent, spokenText));
       }
 
+      // Short spoken confirmation; the answer preempts it as soon as it arrives
+      if (INTENT_CONFIRMATIONS[intent]) speak(t(INTENT_CONFIRMATIONS[intent]), { interrupt: true });
+
       setCurrentStatus('Thinking...');
       const response = await streamResponse(spokenText, image);
       setLastResponse(response);
+      logEvent('answer', response);
 
-      // Wait for the TTS queue to drain before accepting next input
+      // Wait for hazard alerts and the answer to finish speaking before accepting next input
       setCurrentStatus('Speaking...');
-      await new Promise(resolve => {
-        const poll = setInterval(() => {
-          if (!window.speechSynthesis.speaking && !window.speechSynthesis.pending) {
-            clearInterval(poll);
-            resolve();
-          }
-        }, 100);
-        setTimeout(() => { clearInterval(poll); resolve(); }, 15000);
-      });
+      await whenIdle();
 
       setCurrentStatus('Ready to listen');
     } catch (err) {
+      if (isAbortError(err)) {
+        setCurrentStatus('Ready to listen');
+        return;
+      }
       console.error(err);
-      window.speechSynthesis.cancel();
-      const msg = err.message?.includes('API')
-        ? 'Could not connect to AI. Check your connection.'
-        : 'Sorry, something went wrong. Please try again.';
+      cancelSpeech('answer');
+      // A refused request (access key, rate limit, daily quota) says why
+      const msg = limitMessage(err) || (isNetworkError(err)
+        ? offlineReply(spokenText, { queue: QUEUEABLE_INTENTS.includes(intent) })
+        : t(err.message?.includes('API') ? 'connectionError' : 'genericError'));
       setLastResponse(msg);
-      await speak(msg, true);
+      await speak(msg, { priority: 'answer', interrupt: true });
       setCurrentStatus('Ready to listen');
     } finally {
       setIsProcessing(false);
     }
-  }, [captureImage, streamResponse, sceneMemory, speak, cameraReady]);
+  }, [captureGuided, streamResponse, runLocalIntent, runReadIntent, sceneMemory, cameraReady, mode]);
+
+  // Answer questions asked while offline, oldest first. Anything left is re-queued
+  // if the connection drops again.
+  const answerQueued = useCallback(async () => {
+    const questions = takeQueuedQuestions();
+    for (const [i, { text }] of questions.entries()) {
+      try {
+        await speak(t('queuedAnswer', { text }), { priority: 'answer' });
+        const response = await streamResponse(text);
+        setLastResponse(response);
+        logEvent('answer', response);
+        await whenIdle();
+      } catch (err) {
+        if (isAbortError(err)) return; // the user asked something new
+        const refused = limitMessage(err);
+        if (refused) return speak(refused, { priority: 'answer' }); // retrying won't help
+        console.warn('Queued question failed:', err.message);
+        questions.slice(i).forEach(q => queueQuestion(q.text));
+        return;
+      }
+    }
+  }, [streamResponse]);
 
   const startListening = useCallback(() => {
-    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-    if (!SpeechRecognition) {
-      speak('Speech recognition not supported. Try Chrome or Safari.');
+    const recognition = createRecognition();
+    if (!recognition) {
+      speak(t('recognitionUnsupported'), { priority: 'answer' });
       return;
     }
 
@@ -355,10 +503,9 @@ export default function Demo() {
       osc.stop(ctx.currentTime + 0.15);
     } catch (e) {}
 
-    const recognition = new SpeechRecognition();
     recognition.continuous = true;
     recognition.interimResults = true;
-    recognition.lang = 'en-US';
+    recognition.lang = getLocale();
 
     const timeout = setTimeout(() => recognition.stop(), 10000);
 
@@ -382,7 +529,8 @@ export default function Demo() {
       if (e.error === 'no-speech') return;
       setIsListening(false);
       setCurrentStatus('Ready to listen');
-      if (e.error === 'not-allowed') speak('Please allow microphone access.');
+      if (e.error === 'not-allowed') speak(t('micDenied'), { priority: 'answer' });
+      else if (e.error === 'service-not-allowed') speak(t('recognitionUnsupported'), { priority: 'answer' });
     };
 
     recognition.onend = () => {
@@ -399,25 +547,71 @@ export default function Demo() {
       setIsListening(false);
       setCurrentStatus('Ready to listen');
     }
-  }, [speak, processUserInput, isProcessing]);
+  }, [processUserInput, isProcessing]);
 
+  // Restore the session's latest scene — e.g. after switching from Streaming mode
   useEffect(() => {
-    window.speechSynthesis.getVoices();
+    fetchSession()
+      .then(session => {
+        if (session?.latestScene) setSceneMemory(session.latestScene);
+        if (session?.latestObjects) setSceneObjects(session.latestObjects);
+      })
+      .catch(err => console.warn('Could not load session:', err.message));
+  }, []);
+
+  useEffect(() => watchConnectivity(), []);
+
+  // Reminders fall due while the user is silent too — both modes, as they share this page
+  useEffect(() => watchReminders((text) => {
+    logEvent('reminder', text);
+    speak(t('reminder', { text }), { priority: 'answer' });
+  }), []);
+
+  useEffect(() => onConnectivityChange((online) => {
+    if (online) answerQueued();
+  }), [answerQueued]);
+
+  useEffect(() => {
+    window.speechSynthesis?.getVoices();
     initializeCamera();
-    setTimeout(() => speak('SonarAI ready. Tap the button and ask: What\'s around me?'), 1000);
-    return () => streamRef.current?.getTracks().forEach(t => t.stop());
-  }, [initializeCamera, speak]);
+    setTimeout(() => speak(t('ready')), 1000);
+    return () => {
+      requestAbortRef.current?.abort();
+      streamRef.current?.getTracks().forEach(t => t.stop());
+    };
+  }, [initializeCamera]);
+
+  // Read mode keys act on the transcribed text; Enter reads a new frame (not while
+  // a button has focus, where Enter activates the button)
+  const handleReadKey = useCallback((e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey || ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return false;
+    const intent = READ_KEYS[e.key.toLowerCase()];
+    if (!intent || (intent === 'read_text' && e.target.tagName === 'BUTTON')) return false;
+    e.preventDefault();
+    if (intent !== 'read_text') runReadIntent(intent);
+    else if (!isProcessing) processUserInput('', 'read_text');
+    return true;
+  }, [runReadIntent, processUserInput, isProcessing]);
 
   useEffect(() => {
     const onKey = (e) => {
-      if (e.code === 'Space' && !isListening && !isProcessing && mode === 'traditional') {
+      if (mode === 'streaming' || isListening) return;
+      if (e.code === 'Space' && !isProcessing) {
         e.preventDefault();
         startListening();
+      } else if (!(mode === 'read' && handleReadKey(e))) {
+        handleHistoryKey(e);
       }
     };
     window.addEventListener('keydown', onKey);
     return () => window.removeEventListener('keydown', onKey);
-  }, [isListening, isProcessing, startListening, mode]);
+  }, [isListening, isProcessing, startListening, handleReadKey, mode]);
+
+  const changeMode = useCallback((next) => {
+    requestAbortRef.current?.abort();
+    setMode(next);
+    if (next === 'read') speak(t('readMode'), { interrupt: true });
+  }, []);
 
   const status = isListening ? 'listening' : isProcessing ? 'processing' : 'ready';
 
@@ -425,7 +619,7 @@ export default function Demo() {
     return (
       <>
         <div className="demo__mode-wrapper">
-          <ModeToggle mode={mode} onChange={setMode} />
+          <ModeToggle mode={mode} onChange={changeMode} />
         </div>
         <StreamingMode />
       </>
@@ -437,7 +631,7 @@ export default function Demo() {
       <canvas ref={canvasRef} className="demo__canvas" />
 
       <div className="demo__container">
-        <ModeToggle mode={mode} onChange={setMode} />
+        <ModeToggle mode={mode} onChange={changeMode} />
 
         <motion.div
           className="demo__camera"
@@ -534,25 +728,56 @@ export default function Demo() {
           </motion.div>
         )}
 
-        <div className="demo__memory">
-          <div className="demo__memory-header">
-            <span className="demo__memory-icon">🧠</span>
-            <span className="demo__memory-title">MEMORY</span>
+        {mode === 'read' ? (
+          <div className="demo__document">
+            <div className="demo__memory-header">
+              <span className="demo__memory-icon">📖</span>
+              <span className="demo__memory-title">TEXT</span>
+            </div>
+            {readView.paragraphs.length ? (
+              readView.paragraphs.map((paragraph, i) => (
+                <p
+                  key={i}
+                  className={`demo__document-paragraph ${i === readView.index ? 'demo__document-paragraph--current' : ''}`}
+                  aria-current={i === readView.index || undefined}
+                >
+                  {paragraph}
+                </p>
+              ))
+            ) : (
+              <p className="demo__memory-empty">No text yet. Say "Read this" or press Enter.</p>
+            )}
           </div>
-          {sceneMemory ? (
-            <p className="demo__memory-content">{sceneMemory}</p>
-          ) : (
-            <p className="demo__memory-empty">No scene yet. Ask "What's around me?"</p>
-          )}
-        </div>
+        ) : (
+          <div className="demo__memory">
+            <div className="demo__memory-header">
+              <span className="demo__memory-icon">🧠</span>
+              <span className="demo__memory-title">MEMORY</span>
+            </div>
+            {sceneMemory ? (
+              <p className="demo__memory-content">{sceneMemory}</p>
+            ) : (
+              <p className="demo__memory-empty">No scene yet. Ask "What's around me?"</p>
+            )}
+            <SceneObjectList objects={sceneObjects} />
+          </div>
+        )}
 
         <div className="demo__help">
           <span className="demo__help-title">TRY SAYING</span>
-          <div className="demo__help-items">
-            <span className="demo__help-item">"What's around me?"</span>
-            <span className="demo__help-item">"Where was the chair?"</span>
-            <span className="demo__help-item">"Tell me more"</span>
-          </div>
+          {mode === 'read' ? (
+            <div className="demo__help-items">
+              <span className="demo__help-item">"Read this"</span>
+              <span className="demo__help-item">"Next paragraph"</span>
+              <span className="demo__help-item">"Spell that"</span>
+            </div>
+          ) : (
+            <div className="demo__help-items">
+              <span className="demo__help-item">"What's around me?"</span>
+              <span className="demo__help-item">"Where was the chair?"</span>
+              <span className="demo__help-item">"Tell me more"</span>
+            </div>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,300 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { speak, cancelSpeech, voicesForLanguage } from '../lib/speech';
+import { t, getGrammar, getLocale } from '../lib/i18n';
+import { createRecognition } from '../lib/recognition';
+import { getApiKey, setApiKey } from '../lib/apiKey';
+import {
+  getSettings, saveSettings, resetSettings, parseSettingsCommand,
+  LIMITS, VERBOSITY_LEVELS, LANGUAGES
+} from '../lib/settings';
+
+const VERBOSITY_HINTS = {
+  terse: 'A few words — only what matters most',
+  normal: 'One to three short sentences',
+  detailed: 'More context: colors, text, people'
+};
+
+const percent = (v) => `${Math.round(v * 100)}%`;
+
+const SLIDERS = [
+  { key: 'rate', label: 'Speaking rate', format: v => `${v}×` },
+  { key: 'pitch', label: 'Pitch', format: v => String(v) },
+  { key: 'volume', label: 'Volume', format: percent }
+];
+
+function voiceLabel(voice) {
+  return `${voice.name} (${voice.lang})`;
+}
+
+// Spoken confirmations, in the user's language
+const CONFIRMATIONS = {
+  language: () => t('language'),
+  voiceURI: (s, voices) => {
+    const voice = voices.find(v => v.voiceURI === s.voiceURI);
+    return voice ? t('voice', { name: voice.name }) : t('voiceAuto');
+  },
+  rate: (s) => t('rate', { value: s.rate }),
+  pitch: (s) => t('pitch', { value: s.pitch }),
+  volume: (s) => t('volume', { value: Math.round(s.volume * 100) }),
+  verbosity: (s) => t('verbosity', { level: t(s.verbosity) }),
+  modelIntents: (s) => t(s.modelIntents ? 'modelIntentsOn' : 'modelIntentsOff'),
+  framing: (s) => t(s.framing ? 'framingOn' : 'framingOff'),
+  serverVoice: (s) => t(s.serverVoice ? 'serverVoiceOn' : 'serverVoiceOff')
+};
+
+// Spoken summary, used by the "read settings" command and after a reset
+function describeSettings(settings, voices) {
+  return Object.values(CONFIRMATIONS).map(describe => describe(settings, voices)).join(' ');
+}
+
+export default function Settings() {
+  const [settings, setSettings] = useState(getSettings);
+  const [allVoices, setAllVoices] = useState([]);
+  const [isListening, setIsListening] = useState(false);
+  const [status, setStatus] = useState('Changes are saved automatically.');
+  const [accessKey, setAccessKey] = useState(getApiKey);
+  const recognitionRef = useRef(null);
+
+  // Voices load asynchronously in most browsers
+  useEffect(() => {
+    const load = () => setAllVoices(window.speechSynthesis?.getVoices() || []);
+    load();
+    window.speechSynthesis?.addEventListener('voiceschanged', load);
+    return () => {
+      window.speechSynthesis?.removeEventListener('voiceschanged', load);
+      recognitionRef.current?.abort();
+      cancelSpeech();
+    };
+  }, []);
+
+  // Only voices that speak the chosen language are offered
+  const voices = voicesForLanguage(allVoices, settings.language);
+
+  // Save, then confirm out loud — spoken with the new values so the user hears the effect.
+  // A new language starts with its automatic voice.
+  const update = useCallback((patch) => {
+    const [key] = Object.keys(patch);
+    const next = saveSettings(key === 'language' ? { ...patch, voiceURI: '' } : patch);
+    const message = CONFIRMATIONS[key](next, voicesForLanguage(allVoices, next.language));
+    setSettings(next);
+    setStatus(message);
+    speak(message, { interrupt: true });
+  }, [allVoices]);
+
+  const reset = useCallback(() => {
+    const next = resetSettings();
+    const message = `${t('settingsReset')} ${describeSettings(next, voicesForLanguage(allVoices, next.language))}`;
+    setSettings(next);
+    setStatus(message);
+    speak(message, { interrupt: true });
+  }, [allVoices]);
+
+  // The access key is kept apart from the other settings so it is never read out
+  const saveAccessKey = useCallback((e) => {
+    e.preventDefault();
+    setApiKey(accessKey);
+    const message = t(accessKey.trim() ? 'accessKeySaved' : 'accessKeyCleared');
+    setStatus(message);
+    speak(message, { interrupt: true });
+  }, [accessKey]);
+
+  const testVoice = useCallback(() => {
+    speak(t('sample'), { priority: 'answer', interrupt: true });
+  }, []);
+
+  // ─── Voice commands ──────────────────────────────────────────────────────────
+
+  const handleCommand = useCallback((text) => {
+    const result = parseSettingsCommand(text, getGrammar().settings, getSettings(), voices);
+    if (!result) {
+      setStatus(`Not understood: "${text}"`);
+      speak(t('commandHelp'), { priority: 'answer', interrupt: true });
+    } else if (result.action === 'reset') {
+      reset();
+    } else if (result.action === 'test') {
+      testVoice();
+    } else if (result.action === 'read') {
+      speak(describeSettings(getSettings(), voices), { priority: 'answer', interrupt: true });
+    } else {
+      update(result.patch);
+    }
+  }, [voices, reset, testVoice, update]);
+
+  const startListening = useCallback(() => {
+    const recognition = createRecognition();
+    if (!recognition) {
+      speak(t('recognitionUnsupported'), { priority: 'answer' });
+      return;
+    }
+
+    cancelSpeech();
+    recognition.lang = getLocale();
+    recognition.interimResults = false;
+    recognition.onresult = (e) => handleCommand(e.results[0][0].transcript);
+    recognition.onerror = (e) => {
+      if (e.error === 'not-allowed') speak(t('micDenied'), { priority: 'answer' });
+      else if (e.error === 'service-not-allowed') speak(t('recognitionUnsupported'), { priority: 'answer' });
+    };
+    recognition.onend = () => setIsListening(false);
+
+    recognitionRef.current = recognition;
+    setIsListening(true);
+    setStatus('Listening for a command...');
+    try { recognition.start(); } catch (e) { setIsListening(false); }
+  }, [handleCommand]);
+
+  // "V" starts a voice command from anywhere on the page — except the voice list,
+  // where typing jumps to a voice by name, and the access key field
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key.toLowerCase() !== 'v' || e.ctrlKey || e.metaKey || e.altKey || isListening) return;
+      if (e.target.tagName === 'SELECT' || e.target.type === 'password') return;
+      e.preventDefault();
+      startListening();
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [isListening, startListening]);
+
+  return (
+    <div className="settings">
+      <motion.div
+        className="settings__container"
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+      >
+        <h1 className="settings__title">Settings</h1>
+
+        <div className="settings__field">
+          <label className="settings__label" htmlFor="settings-language">Language</label>
+          <select
+            id="settings-language"
+            className="settings__select"
+            value={settings.language}
+            onChange={e => update({ language: e.target.value })}
+          >
+            {Object.entries(LANGUAGES).map(([code, { label }]) => (
+              <option key={code} value={code} lang={code}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="settings__field">
+          <label className="settings__label" htmlFor="settings-voice">Voice</label>
+          <select
+            id="settings-voice"
+            className="settings__select"
+            value={settings.voiceURI}
+            onChange={e => update({ voiceURI: e.target.value })}
+          >
+            <option value="">Automatic</option>
+            {voices.map(voice => (
+              <option key={voice.voiceURI} value={voice.voiceURI}>{voiceLabel(voice)}</option>
+            ))}
+          </select>
+        </div>
+
+        {SLIDERS.map(({ key, label, format }) => (
+          <div className="settings__field" key={key}>
+            <label className="settings__label" htmlFor={`settings-${key}`}>
+              {label} <span className="settings__value">{format(settings[key])}</span>
+            </label>
+            <input
+              id={`settings-${key}`}
+              className="settings__range"
+              type="range"
+              {...LIMITS[key]}
+              value={settings[key]}
+              aria-valuetext={format(settings[key])}
+              onChange={e => update({ [key]: Number(e.target.value) })}
+            />
+          </div>
+        ))}
+
+        <fieldset className="settings__field settings__fieldset">
+          <legend className="settings__label">Verbosity</legend>
+          {VERBOSITY_LEVELS.map(level => (
+            <label key={level} className="settings__option">
+              <input
+                type="radio"
+                name="verbosity"
+                value={level}
+                checked={settings.verbosity === level}
+                onChange={() => update({ verbosity: level })}
+              />
+              <span className="settings__option-name">{level}</span>
+              <span className="settings__option-hint">{VERBOSITY_HINTS[level]}</span>
+            </label>
+          ))}
+        </fieldset>
+
+        <label className="settings__option">
+          <input
+            type="checkbox"
+            checked={settings.modelIntents}
+            onChange={e => update({ modelIntents: e.target.checked })}
+          />
+          <span className="settings__option-name">AI command recognition</span>
+          <span className="settings__option-hint">Ask the model when a spoken command isn't recognized</span>
+        </label>
+
+        <label className="settings__option">
+          <input
+            type="checkbox"
+            checked={settings.framing}
+            onChange={e => update({ framing: e.target.checked })}
+          />
+          <span className="settings__option-name">Framing help</span>
+          <span className="settings__option-hint">Check light, blur and aim before taking a picture</span>
+        </label>
+
+        <label className="settings__option">
+          <input
+            type="checkbox"
+            checked={settings.serverVoice}
+            onChange={e => update({ serverVoice: e.target.checked })}
+          />
+          <span className="settings__option-name">Server voice</span>
+          <span className="settings__option-hint">Use the server's voice instead of this device's (if the server has one)</span>
+        </label>
+
+        <form className="settings__field" onSubmit={saveAccessKey}>
+          <label className="settings__label" htmlFor="settings-access-key">Access key</label>
+          <div className="settings__key">
+            <input
+              id="settings-access-key"
+              className="settings__input"
+              type="password"
+              autoComplete="off"
+              value={accessKey}
+              onChange={e => setAccessKey(e.target.value)}
+            />
+            <button className="settings__btn" type="submit">Save key</button>
+          </div>
+          <span className="settings__option-hint">Only needed if your server requires one</span>
+        </form>
+
+        <div className="settings__actions">
+          <button className="settings__btn" onClick={testVoice}>Test voice</button>
+          <button
+            className={`settings__btn settings__btn--primary ${isListening ? 'settings__btn--listening' : ''}`}
+            onClick={startListening}
+            disabled={isListening}
+            aria-keyshortcuts="V"
+          >
+            {isListening ? 'Listening...' : '🎤 Voice command (V)'}
+          </button>
+          <button className="settings__btn" onClick={reset}>Reset</button>
+        </div>
+
+        <p className="settings__status" aria-live="polite" aria-atomic="true">{status}</p>
+
+        <p className="settings__hint">
+          Voice commands are in English: "faster", "slower", "rate 2", "louder", "higher pitch",
+          "terse", "detailed", "next voice", "spanish", "test", "read settings" or "reset".
+        </p>
+      </motion.div>
+    </div>
+  );
+}